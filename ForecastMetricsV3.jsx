@@ -1,5 +1,24 @@
-import React, { useState, useMemo } from 'react';
-import { XAxis, YAxis, ResponsiveContainer, Area, ComposedChart, Bar, BarChart, Cell, Tooltip, Line, ReferenceLine, Legend } from 'recharts';
+import React, { useState, useMemo, useRef, useEffect, createContext, useContext } from 'react';
+import { XAxis, YAxis, ResponsiveContainer, Area, ComposedChart, Bar, BarChart, Cell, Tooltip, Line, ReferenceLine, ReferenceArea, Legend, LabelList } from 'recharts';
+import {
+  WIS_COMPONENTS, calculateWIS, calculatePIS, wisContributions, isInside, normalQuantile,
+  scoreForecasts, exportColumns, summarizeScores, aggregateScores, pairwiseComparison,
+  coverageByLevel, coverageOverTime, binomialTest, calibrationBand,
+  pitValues, pitHistogram, diagnosePIT, quantileCoverage,
+  quantileBias, intervalsToQuantiles, quantilesToIntervals, empiricalQuantile,
+  SCORING_SCALES, transformForecasts, transformTruth,
+  RATE_CHANGE_CATEGORIES, RATE_CHANGE_THRESHOLDS, RATE_CHANGE_MIN_COUNT, isRateChangeForecast, joinRateChanges,
+  rankedProbabilityScore, logScorePmf,
+} from './metrics/index.js';
+import {
+  parseCSV, formatCSV, parseModelOutput, parseTargetData, joinTargetData, modelFromFilename, addDays,
+  EXAMPLE_LOCATION, EXAMPLE_TARGET, EXAMPLE_TRUTH, LOCATION_POPULATIONS, epidemicPhases, phaseSegments,
+} from './data/index.js';
+import {
+  BASELINE_MODEL, baselineForecasts, flatBaseline, ENSEMBLE_METHODS, quantileEnsemble,
+  SAMPLE_INTERVAL_LEVELS, sampleQuantileForecasts, sampleTrajectories,
+  SIMULATED_MODELS, createRandom, syntheticEpidemic, simulatedForecasts, simulateReplicates,
+} from './models/index.js';
 
 // EPISTORM color palette - blues and slates, avoiding red/green per Charting the Next Pandemic
 const theme = {
@@ -52,49 +71,6 @@ const WaveBorder = ({ position = 'top', color = theme.wave }) => {
   );
 };
 
-// WIS calculation
-const calculateWIS = (observed, median, intervals) => {
-  let dispersion = 0;
-  let overprediction = 0;
-  let underprediction = 0;
-  
-  intervals.forEach(({ lower, upper, alpha }) => {
-    dispersion += (upper - lower) * (alpha / 2);
-    if (observed < lower) underprediction += (lower - observed) * alpha;
-    if (observed > upper) overprediction += (observed - upper) * alpha;
-  });
-  
-  const absError = Math.abs(observed - median);
-  return { 
-    total: (dispersion + overprediction + underprediction + absError * 0.5).toFixed(1),
-    dispersion: dispersion.toFixed(1), 
-    overprediction: overprediction.toFixed(1), 
-    underprediction: underprediction.toFixed(1),
-    absError: absError.toFixed(1)
-  };
-};
-
-// PIS (Prediction Interval Score) calculation - includes both bounds
-const calculatePIS = (observed, lower, upper, alpha) => {
-  const width = upper - lower;
-  let penalty = 0;
-  
-  if (observed < lower) {
-    penalty = (2 / alpha) * (lower - observed);
-  } else if (observed > upper) {
-    penalty = (2 / alpha) * (observed - upper);
-  }
-  
-  return {
-    width: width.toFixed(1),
-    penalty: penalty.toFixed(1),
-    total: (width + penalty).toFixed(1),
-    outsideLower: observed < lower,
-    outsideUpper: observed > upper,
-    inside: observed >= lower && observed <= upper,
-  };
-};
-
 // Collapsible section for "Go Deeper"
 const Collapsible = ({ title, children }) => {
   const [open, setOpen] = useState(false);
@@ -137,18 +113,333 @@ const Callout = ({ type = 'info', title, children }) => {
   );
 };
 
+// Formatting helpers for score tables
+// Scores on the log or per-100k scale are small, so they keep more decimals
+const fmtScore = (v) => {
+  if (v === null || v === undefined) return '—';
+  const digits = v === 0 || Math.abs(v) >= 10 ? 1 : Math.abs(v) >= 1 ? 2 : 3;
+  return v.toLocaleString(undefined, { maximumFractionDigits: digits, minimumFractionDigits: digits });
+};
+// Forecast and observed values: whole counts, or two decimals on a transformed scale
+const fmtValue = (v) => v.toLocaleString(undefined, { maximumFractionDigits: Math.abs(v) >= 100 ? 0 : 2 });
+const fmtPercent = (v) => (v === null || v === undefined ? '—' : `${Math.round(v * 100)}%`);
+const fmtBias = (v) => (v === null || v === undefined ? '—' : `${v > 0 ? '+' : ''}${v.toFixed(2)}`);
+
+// Bias takes the colour of the WIS component it corresponds to: positive = over, negative = under
+const biasColor = (v) => (v > 0 ? theme.status.highlight : v < 0 ? theme.accent : theme.textMuted);
+
+// ========== EXPORT ==========
+// Score tables download as CSV/JSON with scoringutils' columns; charts as SVG/PNG
+const downloadBlob = (filename, blob) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+const downloadScores = (name, rows, format) => {
+  const columns = exportColumns(rows);
+  const text = format === 'csv'
+    ? formatCSV(rows, columns)
+    : JSON.stringify(rows.map(row => Object.fromEntries(columns.map(c => [c, row[c] ?? null]))), null, 2);
+  downloadBlob(`${name}.${format}`, new Blob([text], { type: format === 'csv' ? 'text/csv' : 'application/json' }));
+};
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// A Recharts chart as standalone vector SVG. Legends are HTML in Recharts, so
+// their icons and labels are copied onto the surface at the same positions.
+const chartSVG = (node) => {
+  const wrapper = node.querySelector('.recharts-wrapper');
+  if (!wrapper) throw new Error('There is no chart to export yet');
+  const box = wrapper.getBoundingClientRect();
+  const offset = (el) => {
+    const r = el.getBoundingClientRect();
+    return { x: r.left - box.left, y: r.top - box.top, height: r.height };
+  };
+  const svg = wrapper.querySelector(':scope > svg').cloneNode(true);
+  svg.setAttribute('xmlns', SVG_NS);
+  svg.setAttribute('width', box.width);
+  svg.setAttribute('height', box.height);
+  svg.setAttribute('viewBox', `0 0 ${box.width} ${box.height}`);
+  svg.setAttribute('font-family', "'IBM Plex Sans', sans-serif");
+  const background = document.createElementNS(SVG_NS, 'rect');
+  background.setAttribute('width', '100%');
+  background.setAttribute('height', '100%');
+  background.setAttribute('fill', 'white');
+  svg.insertBefore(background, svg.firstChild);
+
+  wrapper.querySelectorAll('.recharts-legend-item').forEach(item => {
+    const icon = item.querySelector('svg');
+    const label = item.querySelector('.recharts-legend-item-text');
+    if (icon) {
+      const copy = icon.cloneNode(true);
+      const { x, y } = offset(icon);
+      copy.setAttribute('x', x);
+      copy.setAttribute('y', y);
+      svg.appendChild(copy);
+    }
+    if (label) {
+      const { x, y, height } = offset(label);
+      const style = window.getComputedStyle(label);
+      const text = document.createElementNS(SVG_NS, 'text');
+      text.setAttribute('x', x);
+      text.setAttribute('y', y + height / 2);
+      text.setAttribute('dominant-baseline', 'central');
+      if (style.fontSize) text.setAttribute('font-size', style.fontSize);
+      text.setAttribute('fill', style.color);
+      text.textContent = label.textContent;
+      svg.appendChild(text);
+    }
+  });
+  return { text: new XMLSerializer().serializeToString(svg), width: box.width, height: box.height };
+};
+
+// Any panel as an image: its HTML embedded in an SVG foreignObject
+const panelSVG = (node) => {
+  const { width, height } = node.getBoundingClientRect();
+  const html = new XMLSerializer().serializeToString(node);
+  const text = `<svg xmlns="${SVG_NS}" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`
+    + '<foreignObject width="100%" height="100%">'
+    + `<div xmlns="http://www.w3.org/1999/xhtml" style="font-family: 'IBM Plex Sans', sans-serif; color: ${theme.text}; background: white;">${html}</div>`
+    + '</foreignObject></svg>';
+  return { text, width, height };
+};
+
+// Rasterizes an SVG snapshot at twice its size so it stays sharp in documents
+const svgToPNG = ({ text, width, height }, scale = 2) => new Promise((resolve, reject) => {
+  const image = new Image();
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.ceil(width * scale);
+    canvas.height = Math.ceil(height * scale);
+    const context = canvas.getContext('2d');
+    context.fillStyle = 'white';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+    try {
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The browser could not encode the PNG'))), 'image/png');
+    } catch (err) {
+      reject(new Error(`The browser refused to export this image as PNG (${err.message}); try SVG instead`));
+    }
+  };
+  image.onerror = () => reject(new Error('The browser could not draw the SVG'));
+  image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(text)}`;
+});
+
+const ExportButtons = ({ actions, error }) => (
+  <div className="no-print" style={{ display: 'flex', justifyContent: 'flex-end', alignItems: 'center', gap: 4, marginBottom: 6, fontSize: 11, fontFamily: "'IBM Plex Sans', sans-serif" }}>
+    {error && <span style={{ color: theme.status.caution, marginRight: 8 }}>{error}</span>}
+    <span style={{ color: theme.textMuted, marginRight: 2 }}>Download</span>
+    {actions.map(([label, run]) => (
+      <button
+        key={label}
+        onClick={run}
+        style={{
+          padding: '2px 8px', fontSize: 11, borderRadius: 4, cursor: 'pointer', border: `1px solid ${theme.border}`,
+          background: 'white', color: theme.textSecondary, fontFamily: "'IBM Plex Sans', sans-serif",
+        }}
+      >
+        {label}
+      </button>
+    ))}
+  </div>
+);
+
+// SVG and PNG downloads for what it wraps. kind 'chart' exports the Recharts
+// chart inside as vector SVG; kind 'panel' snapshots the HTML as shown.
+const ExportFrame = ({ name, kind = 'chart', children }) => {
+  const ref = useRef(null);
+  const [error, setError] = useState(null);
+  const snapshot = () => (kind === 'chart' ? chartSVG : panelSVG)(ref.current);
+  const saveSVG = () => {
+    setError(null);
+    try {
+      downloadBlob(`${name}.svg`, new Blob([snapshot().text], { type: 'image/svg+xml' }));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+  const savePNG = () => {
+    setError(null);
+    new Promise(resolve => resolve(snapshot()))
+      .then(svgToPNG)
+      .then(blob => downloadBlob(`${name}.png`, blob))
+      .catch(err => setError(err.message));
+  };
+  return (
+    <div>
+      <ExportButtons actions={[['SVG', saveSVG], ['PNG', savePNG]]} error={error} />
+      <div ref={ref}>{children}</div>
+    </div>
+  );
+};
+
+// Score table. columns: [{ key, label, format, align, render }]. With `sortable`, clicking a
+// header sorts by that column (missing values last); onRowClick / isSelected make rows selectable.
+// exportAs names the CSV/JSON download of exportRows (the rows as shown when not given).
+const compareValues = (a, b) => (typeof a === 'string' || typeof b === 'string' ? String(a).localeCompare(String(b)) : a - b);
+
+const ScoreTable = ({ columns, rows, sortable = false, onRowClick, isSelected, exportAs, exportRows }) => {
+  const [sort, setSort] = useState(null);
+  const missing = (v) => v === null || v === undefined || Number.isNaN(v);
+  const sorted = sortable && sort
+    ? [...rows].sort((a, b) => {
+      const x = a[sort.key], y = b[sort.key];
+      if (missing(x) || missing(y)) return missing(x) - missing(y);
+      return sort.dir * compareValues(x, y);
+    })
+    : rows;
+  const toggleSort = (key) => setSort(s => (s && s.key === key ? { key, dir: -s.dir } : { key, dir: 1 }));
+
+  return (
+    <div>
+      {exportAs && (
+        <ExportButtons actions={[
+          ['CSV', () => downloadScores(exportAs, exportRows || sorted, 'csv')],
+          ['JSON', () => downloadScores(exportAs, exportRows || sorted, 'json')],
+        ]} />
+      )}
+      <div style={{ overflowX: 'auto', background: 'white', borderRadius: 8, border: `1px solid ${theme.border}` }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 13, fontFamily: "'IBM Plex Sans', sans-serif" }}>
+          <thead>
+            <tr>
+              {columns.map(c => (
+                <th
+                  key={c.key}
+                  onClick={sortable ? () => toggleSort(c.key) : undefined}
+                  style={{
+                    padding: '10px 12px', textAlign: c.align || 'right', fontSize: 11, fontWeight: 600,
+                    color: sort && sort.key === c.key ? theme.accent : theme.textMuted, textTransform: 'uppercase', letterSpacing: '0.5px',
+                    borderBottom: `1px solid ${theme.border}`, whiteSpace: 'nowrap', cursor: sortable ? 'pointer' : 'default',
+                  }}
+                >
+                  {c.label}{sort && sort.key === c.key ? (sort.dir > 0 ? ' ▲' : ' ▼') : ''}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {sorted.map((row, i) => {
+              const selected = isSelected ? isSelected(row) : false;
+              return (
+                <tr
+                  key={i}
+                  onClick={onRowClick ? () => onRowClick(row) : undefined}
+                  style={{
+                    background: selected ? theme.accentLight : i % 2 ? theme.backgroundAlt : 'white',
+                    boxShadow: selected ? `inset 3px 0 0 ${theme.accent}` : 'none',
+                    cursor: onRowClick ? 'pointer' : 'default',
+                  }}
+                >
+                  {columns.map(c => (
+                    <td key={c.key} style={{ padding: '8px 12px', textAlign: c.align || 'right', color: theme.text, whiteSpace: 'nowrap' }}>
+                      {c.render ? c.render(row) : c.format ? c.format(row[c.key]) : row[c.key]}
+                    </td>
+                  ))}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+// ========== URL STATE ==========
+// The active tab and the open module's parameters live in the URL hash, e.g.
+// #wis?observed=2600&width=80, so a scenario can be linked and back/forward work.
+const parseHash = (hash) => {
+  const [tab, query = ''] = hash.replace(/^#/, '').split('?');
+  return { tab: tab || null, params: Object.fromEntries(new URLSearchParams(query)) };
+};
+
+const formatHash = ({ tab, params }) => {
+  const query = new URLSearchParams(params).toString();
+  return `#${tab}${query ? `?${query}` : ''}`;
+};
+
+// history.pushState/replaceState, falling back to plain hash navigation where the
+// browser refuses them (some do for pages opened from disk)
+const navigateHash = (hash, { replace = false } = {}) => {
+  try {
+    window.history[replace ? 'replaceState' : 'pushState'](null, '', hash);
+  } catch (err) {
+    if (replace) window.location.replace(hash);
+    else window.location.hash = hash;
+  }
+};
+
+const encodeParam = (value) => (Array.isArray(value) ? value.join(',') : typeof value === 'boolean' ? (value ? '1' : '0') : String(value));
+
+// Reads a parameter back into the type of its default value
+const decodeParam = (text, initial) => {
+  if (Array.isArray(initial)) {
+    const items = text === '' ? [] : text.split(',');
+    return typeof initial[0] === 'number' ? items.map(Number).filter(Number.isFinite) : items;
+  }
+  if (typeof initial === 'number') return Number.isFinite(Number(text)) && text !== '' ? Number(text) : initial;
+  if (typeof initial === 'boolean') return text === '1';
+  return text;
+};
+
+// Whether a value read from the URL is one its control can produce: options lists
+// the values offered (every item, for a list), min/max/integer bound a number and
+// nonEmpty rules out an empty list
+const isAllowedParam = (value, { options, min, max, integer = false, nonEmpty = false }) => {
+  const items = Array.isArray(value) ? value : [value];
+  if (nonEmpty && items.length === 0) return false;
+  return items.every(v => (!options || options.includes(v))
+    && (min === undefined || v >= min) && (max === undefined || v <= max)
+    && (!integer || Number.isInteger(v)));
+};
+
+const UrlStateContext = createContext({ params: {}, setParam: () => {} });
+
+// useState backed by a parameter of the current tab's URL. Defaults are left out
+// of the URL, and hand-edited values the control doesn't allow (see
+// isAllowedParam) read as the default. codec: { encode, decode } for values that
+// aren't scalars or flat arrays; decode may return null for text it can't read.
+const useUrlState = (key, initial, { codec = null, ...allowed } = {}) => {
+  const { params, setParam } = useContext(UrlStateContext);
+  const encode = codec ? codec.encode : encodeParam;
+  const decoded = params[key] === undefined ? null : codec ? codec.decode(params[key]) : decodeParam(params[key], initial);
+  const value = decoded !== null && isAllowedParam(decoded, allowed) ? decoded : initial;
+  const setValue = (next) => {
+    const text = encode(typeof next === 'function' ? next(value) : next);
+    setParam(key, text === encode(initial) ? null : text);
+  };
+  return [value, setValue];
+};
+
 // Navigation tabs
+const TABS = [
+  { id: 'overview', label: 'Overview' },
+  { id: 'intervals', label: 'Prediction Intervals' },
+  { id: 'wis', label: 'Weighted Interval Score' },
+  { id: 'coverage', label: 'Coverage' },
+  { id: 'simulation', label: 'Simulation' },
+  { id: 'diagnostics', label: 'Diagnostics' },
+  { id: 'evaluate', label: 'Evaluate your forecasts' },
+  { id: 'compare', label: 'Compare models' },
+  { id: 'breakdown', label: 'Score breakdown' },
+  { id: 'trends', label: 'Rate trends' },
+  { id: 'report', label: 'Report' },
+];
+
+// Tabs showing loaded forecasts or their scores, which follow the scoring scale
+const SCALED_TABS = ['intervals', 'wis', 'coverage', 'diagnostics', 'compare', 'breakdown', 'report'];
+
 const TabNav = ({ active, setActive }) => {
-  const tabs = [
-    { id: 'overview', label: 'Overview' },
-    { id: 'intervals', label: 'Prediction Intervals' },
-    { id: 'wis', label: 'Weighted Interval Score' },
-    { id: 'coverage', label: 'Coverage' },
-  ];
   return (
-    <div style={{ borderBottom: `1px solid ${theme.border}`, marginBottom: 40 }}>
-      <nav style={{ display: 'flex', gap: 0 }}>
-        {tabs.map(t => (
+    <div className="no-print" style={{ borderBottom: `1px solid ${theme.border}`, marginBottom: 40 }}>
+      <nav style={{ display: 'flex', gap: 0, flexWrap: 'wrap' }}>
+        {TABS.map(t => (
           <button
             key={t.id}
             onClick={() => setActive(t.id)}
@@ -205,25 +496,193 @@ const Overview = () => (
 );
 
 // ========== PREDICTION INTERVALS ==========
-const IntervalsModule = () => {
-  const [selectedPI, setSelectedPI] = useState('all');
-  
-  const forecastData = [
-    { week: 'Week 1', observed: 1200, median: 1180, l95: 850, u95: 1510, l80: 950, u80: 1410, l50: 1080, u50: 1280 },
-    { week: 'Week 2', observed: 1480, median: 1420, l95: 1020, u95: 1820, l80: 1150, u80: 1690, l50: 1300, u50: 1540 },
-    { week: 'Week 3', observed: 1850, median: 1750, l95: 1280, u95: 2220, l80: 1420, u80: 2080, l50: 1600, u50: 1900 },
-    { week: 'Week 4', observed: 2150, median: 2100, l95: 1550, u95: 2650, l80: 1720, u80: 2480, l50: 1920, u50: 2280 },
-    { week: 'Week 5', observed: null, median: 2350, l95: 1720, u95: 2980, l80: 1920, u80: 2780, l50: 2140, u50: 2560 },
-  ];
+const FAN_LEVELS = [0.95, 0.8, 0.5];
+const fanStyle = {
+  95: { fill: theme.intervals.pi95, opacity: 0.15 },
+  80: { fill: theme.intervals.pi80, opacity: 0.25 },
+  50: { fill: theme.intervals.pi50, opacity: 0.4 },
+};
+const levelKey = (level) => Math.round(level * 100);
 
-  // Transform data to show proper intervals with lower bounds
-  const chartData = forecastData.map(d => ({
-    ...d,
-    // For area charts, we need both lower and upper
-    range95: [d.l95, d.u95],
-    range80: [d.l80, d.u80],
-    range50: [d.l50, d.u50],
-  }));
+// One row per date: the observation, and for each reference date r its median
+// (f{r}_median) and ranged [lower, upper] bands (f{r}_95, ...). hits / covering
+// count the forecasts whose hitLevel interval contains the observation.
+// Sample trajectories, when given, add one column each (t0, t1, ...).
+const fanChartRows = (series, forecasts, levels, hitLevel, trajectories = []) => {
+  const referenceDates = [...new Set(forecasts.map(f => f.reference_date))].sort();
+  if (referenceDates.length === 0) return { rows: [], referenceDates };
+
+  const rows = new Map();
+  const row = (date) => {
+    if (!rows.has(date)) rows.set(date, { date, hits: 0, covering: 0 });
+    return rows.get(date);
+  };
+  const from = addDays(referenceDates[0], -56);
+  const to = forecasts.reduce((d, f) => (f.target_end_date > d ? f.target_end_date : d), referenceDates[referenceDates.length - 1]);
+  series.filter(p => p.date >= from && p.date <= to).forEach(p => { row(p.date).observed = p.value; });
+  referenceDates.forEach(row);
+
+  forecasts.forEach(f => {
+    const r = referenceDates.indexOf(f.reference_date);
+    const { median, intervals } = quantilesToIntervals(f.quantiles);
+    const target = row(f.target_end_date);
+    target[`f${r}_median`] = median;
+    levels.forEach(level => {
+      const int = intervals.find(i => Math.abs(i.level - level) < 1e-9);
+      if (int) target[`f${r}_${levelKey(level)}`] = [int.lower, int.upper];
+    });
+    const hitInterval = hitLevel && intervals.find(i => Math.abs(i.level - hitLevel) < 1e-9);
+    if (hitInterval && Number.isFinite(target.observed)) {
+      target.covering += 1;
+      if (isInside(target.observed, hitInterval.lower, hitInterval.upper)) target.hits += 1;
+    }
+  });
+  trajectories.forEach((t, k) => t.points.forEach(p => { row(p.target_end_date)[`t${k}`] = p.value; }));
+
+  return { rows: [...rows.values()].sort((a, b) => a.date.localeCompare(b.date)), referenceDates };
+};
+
+// Observation dot: filled when every forecast for that week contained it, hollow amber on a miss
+const HitDot = ({ cx, cy, payload }) => {
+  if (cx == null || cy == null || !Number.isFinite(payload.observed)) return null;
+  const miss = payload.covering > 0 && payload.hits < payload.covering;
+  return (
+    <circle
+      key={payload.date} cx={cx} cy={cy} r={miss ? 5 : 4}
+      fill={miss ? 'white' : payload.covering > 0 ? theme.status.good : theme.primary}
+      stroke={miss ? theme.status.caution : 'white'} strokeWidth={2}
+    />
+  );
+};
+
+// Reusable fan chart: observed series plus quantile forecasts (one or more reference
+// dates overlaid) drawn as true ranged bands, so overlapping fans stay correct.
+// series: [{ date, value }]; forecasts: parsed quantile forecasts for one location/target.
+// Small multiples pass a shared yDomain so panels are drawn on the same scale.
+// trajectories (from sampleTrajectories) are drawn as faint lines behind the bands.
+const FanChart = ({ series, forecasts, levels = FAN_LEVELS, height = 300, compact = false, highlight = false, yDomain, trajectories = [] }) => {
+  const hitLevel = levels.length > 0 ? Math.max(...levels) : null;
+  const { rows, referenceDates } = fanChartRows(series, forecasts, levels, hitLevel, trajectories);
+  const latest = referenceDates[referenceDates.length - 1];
+  const fade = referenceDates.length > 1 ? 0.7 : 1;
+  const axisTick = { fontSize: compact ? 10 : 12, fill: theme.textMuted, fontFamily: "'IBM Plex Sans', sans-serif" };
+
+  return (
+    <ResponsiveContainer width="100%" height={height}>
+      <ComposedChart data={rows} margin={compact ? { top: 8, right: 8, left: 0, bottom: 0 } : { top: 10, right: 30, left: 10, bottom: 10 }}>
+        <XAxis dataKey="date" tick={axisTick} axisLine={{ stroke: theme.border }} tickLine={false} tickFormatter={d => d.slice(5)} minTickGap={compact ? 24 : 12} />
+        <YAxis tick={axisTick} axisLine={false} tickLine={false} tickFormatter={v => v.toLocaleString()} width={compact ? 44 : 60} domain={yDomain || [0, 'auto']} />
+
+        {trajectories.map((t, k) => (
+          <Line
+            key={`t${k}`} type="linear" dataKey={`t${k}`} connectNulls stroke={theme.textMuted}
+            strokeWidth={1} strokeOpacity={0.25} dot={false} activeDot={false}
+            tooltipType="none" legendType="none" name={`Trajectory ${t.id}`} isAnimationActive={false}
+          />
+        ))}
+        {referenceDates.map((d, r) => [...levels].sort((a, b) => b - a).map(level => (
+          <Area
+            key={`${d}-${level}`} type="monotone" dataKey={`f${r}_${levelKey(level)}`} connectNulls
+            stroke={highlight ? fanStyle[levelKey(level)]?.fill ?? theme.intervals.pi95 : 'none'} strokeWidth={highlight ? 0.5 : 0}
+            fill={fanStyle[levelKey(level)]?.fill ?? theme.intervals.pi95}
+            fillOpacity={(fanStyle[levelKey(level)]?.opacity ?? 0.2) * fade}
+            name={`${levelKey(level)}% PI${referenceDates.length > 1 ? ` (${d})` : ''}`}
+            isAnimationActive={false}
+          />
+        )))}
+        {referenceDates.map((d, r) => (
+          <Line
+            key={`${d}-median`} type="monotone" dataKey={`f${r}_median`} connectNulls
+            stroke={theme.accent} strokeWidth={highlight ? 2.5 : 2} dot={{ r: compact ? 2 : 3, fill: theme.accent }}
+            name={`Median forecast${referenceDates.length > 1 ? ` (${d})` : ''}`} isAnimationActive={false}
+          />
+        ))}
+        <Line type="monotone" dataKey="observed" stroke={theme.primary} strokeWidth={compact ? 1.5 : 2.5} dot={<HitDot />} connectNulls={false} name="Observed" isAnimationActive={false} />
+
+        {latest && (
+          <ReferenceLine x={latest} stroke={theme.border} strokeDasharray="4 4" label={compact ? undefined : { value: 'Reference date', position: 'top', fontSize: 11, fill: theme.textMuted }} />
+        )}
+        <Tooltip 
+          contentStyle={{ borderRadius: 6, border: `1px solid ${theme.border}`, boxShadow: '0 2px 8px rgba(0,0,0,0.08)', fontFamily: "'IBM Plex Sans', sans-serif" }}
+          formatter={(value, name) => [
+            Array.isArray(value) ? `${fmtValue(value[0])} – ${fmtValue(value[1])}` : value != null ? fmtValue(value) : '—',
+            name,
+          ]}
+        />
+      </ComposedChart>
+    </ResponsiveContainer>
+  );
+};
+
+// Illustrative season with flat-baseline forecasts, shown until real data is loaded
+const exampleFanData = () => {
+  const series = EXAMPLE_TRUTH.map(t => ({ date: t.target_end_date, value: t.observed }));
+  const forecasts = series.slice(4).flatMap(p => flatBaseline(series, { reference_date: p.date }).map(f => ({
+    model: BASELINE_MODEL, reference_date: p.date, target: EXAMPLE_TARGET, location: EXAMPLE_LOCATION, output_type: 'quantile', ...f,
+  })));
+  return { truth: EXAMPLE_TRUTH, forecasts };
+};
+
+const chipStyle = (on) => ({
+  padding: '4px 10px', fontSize: 12, fontWeight: 500, borderRadius: 4,
+  border: `1px solid ${on ? theme.accent : theme.border}`,
+  background: on ? theme.accentLight : 'white',
+  color: on ? theme.accent : theme.textSecondary,
+  cursor: 'pointer', fontFamily: "'IBM Plex Sans', sans-serif",
+});
+
+// Toggles one value in a selection, never leaving it empty
+const toggleIn = (list, value) => (list.includes(value) ? (list.length > 1 ? list.filter(v => v !== value) : list) : [...list, value].sort());
+
+// Trajectories drawn behind a fan chart at most; more only thicken the cloud
+const MAX_TRAJECTORIES = 100;
+
+// forecasts: validated quantile forecasts; samples: sample forecasts, drawn as trajectories
+const IntervalsModule = ({ forecasts: loaded = [], samples = [], truth: loadedTruth = [] }) => {
+  const [selectedPI, setSelectedPI] = useUrlState('pi', 'all', { options: ['all', '95', '80', '50', 'none'] });
+  const [choice, setChoice] = useState({});
+  const [horizons, setHorizons] = useUrlState('h', [0, 1, 2, 3], { options: [0, 1, 2, 3], nonEmpty: true });
+  const [referenceDates, setReferenceDates] = useUrlState('dates', []);
+  const [showTrajectories, setShowTrajectories] = useUrlState('paths', true);
+
+  const example = useMemo(exampleFanData, []);
+  const quantileLoaded = loaded.filter(f => f.output_type === 'quantile');
+  const usingExample = quantileLoaded.length === 0 || loadedTruth.length === 0;
+  const { forecasts, truth } = usingExample ? example : { forecasts: quantileLoaded, truth: loadedTruth };
+
+  const options = (key) => [...new Set(forecasts.map(f => f[key]))].sort();
+  const models = options('model');
+  const locations = options('location');
+  const targets = options('target');
+  const model = models.includes(choice.model) ? choice.model : models[0];
+  const location = locations.includes(choice.location) ? choice.location : locations[0];
+  const target = targets.includes(choice.target) ? choice.target : targets[0];
+
+  const task = forecasts.filter(f => f.model === model && f.location === location && f.target === target);
+  const availableDates = [...new Set(task.map(f => f.reference_date))].sort();
+  const selectedDates = referenceDates.filter(d => availableDates.includes(d));
+  const shownDates = selectedDates.length > 0 ? selectedDates : availableDates.slice(-1);
+
+  const series = useMemo(() => truth
+    .filter(t => t.location === location && (t.target === null || t.target === target))
+    .map(t => ({ date: t.target_end_date, value: t.observed })), [truth, location, target]);
+  const shown = task.filter(f => shownDates.includes(f.reference_date) && horizons.includes(f.horizon));
+  const levels = selectedPI === 'all' ? FAN_LEVELS : selectedPI === 'none' ? [] : [Number(selectedPI) / 100];
+  const trajectories = usingExample ? [] : sampleTrajectories(samples.filter(f => (
+    f.model === model && f.location === location && f.target === target
+    && shownDates.includes(f.reference_date) && horizons.includes(f.horizon)
+  )));
+  const drawn = showTrajectories ? trajectories.slice(0, MAX_TRAJECTORIES) : [];
+
+  const hitLevel = levels.length > 0 ? Math.max(...levels) : null;
+  const checked = hitLevel ? joinTargetData(shown, truth).matched.filter(f => Number.isFinite(f.observed)) : [];
+  const hits = checked.filter(f => {
+    const int = quantilesToIntervals(f.quantiles).intervals.find(i => Math.abs(i.level - hitLevel) < 1e-9);
+    return int && isInside(f.observed, int.lower, int.upper);
+  }).length;
+
+  const selectStyle = { padding: '4px 8px', fontSize: 13, borderRadius: 4, border: `1px solid ${theme.border}`, fontFamily: "'IBM Plex Sans', sans-serif" };
+  const pick = (key) => e => setChoice(c => ({ ...c, [key]: e.target.value }));
 
   return (
     <div>
@@ -233,79 +692,85 @@ const IntervalsModule = () => {
       </p>
 
       <div style={{ background: theme.backgroundAlt, borderRadius: 8, padding: 32, marginBottom: 32 }}>
-        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 24 }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 16 }}>
           <h3 style={{ margin: 0, fontSize: 15, fontWeight: 600, color: theme.text, fontFamily: "'IBM Plex Sans', sans-serif" }}>
             Weekly Hospital Admissions Forecast
           </h3>
           <div style={{ display: 'flex', gap: 8 }}>
             {['all', '95', '80', '50', 'none'].map(opt => (
-              <button
-                key={opt}
-                onClick={() => setSelectedPI(opt)}
-                style={{
-                  padding: '6px 12px', fontSize: 12, fontWeight: 500, borderRadius: 4,
-                  border: `1px solid ${selectedPI === opt ? theme.accent : theme.border}`,
-                  background: selectedPI === opt ? theme.accentLight : 'white',
-                  color: selectedPI === opt ? theme.accent : theme.textSecondary,
-                  cursor: 'pointer', fontFamily: "'IBM Plex Sans', sans-serif",
-                }}
-              >
+              <button key={opt} onClick={() => setSelectedPI(opt)} style={{ ...chipStyle(selectedPI === opt), padding: '6px 12px' }}>
                 {opt === 'all' ? 'All PIs' : opt === 'none' ? 'None' : `${opt}%`}
               </button>
             ))}
           </div>
         </div>
 
-        <ResponsiveContainer width="100%" height={300}>
-          <ComposedChart data={forecastData} margin={{ top: 10, right: 30, left: 10, bottom: 10 }}>
-            <XAxis dataKey="week" tick={{ fontSize: 12, fill: theme.textMuted, fontFamily: "'IBM Plex Sans', sans-serif" }} axisLine={{ stroke: theme.border }} tickLine={false} />
-            <YAxis tick={{ fontSize: 12, fill: theme.textMuted, fontFamily: "'IBM Plex Sans', sans-serif" }} axisLine={false} tickLine={false} tickFormatter={v => v.toLocaleString()} />
-            
-            {/* 95% PI - shown as area from lower to upper */}
-            {(selectedPI === 'all' || selectedPI === '95') && (
-              <>
-                <Area type="monotone" dataKey="u95" stroke="none" fill={theme.intervals.pi95} fillOpacity={0.15} />
-                <Area type="monotone" dataKey="l95" stroke="none" fill={theme.background} fillOpacity={1} />
-              </>
-            )}
-            {/* 80% PI */}
-            {(selectedPI === 'all' || selectedPI === '80') && (
-              <>
-                <Area type="monotone" dataKey="u80" stroke="none" fill={theme.intervals.pi80} fillOpacity={0.25} />
-                <Area type="monotone" dataKey="l80" stroke="none" fill={theme.backgroundAlt} fillOpacity={1} />
-              </>
-            )}
-            {/* 50% PI */}
-            {(selectedPI === 'all' || selectedPI === '50') && (
-              <>
-                <Area type="monotone" dataKey="u50" stroke="none" fill={theme.intervals.pi50} fillOpacity={0.4} />
-                <Area type="monotone" dataKey="l50" stroke="none" fill={theme.backgroundAlt} fillOpacity={1} />
-              </>
-            )}
-            
-            <Line type="monotone" dataKey="median" stroke={theme.accent} strokeWidth={2} dot={{ r: 4, fill: theme.accent }} name="Median forecast" />
-            <Line type="monotone" dataKey="observed" stroke={theme.primary} strokeWidth={2.5} dot={{ r: 5, fill: theme.primary, strokeWidth: 2, stroke: 'white' }} connectNulls={false} name="Observed" />
-            
-            <ReferenceLine x="Week 4" stroke={theme.border} strokeDasharray="4 4" label={{ value: 'Today', position: 'top', fontSize: 11, fill: theme.textMuted }} />
-            <Tooltip 
-              contentStyle={{ borderRadius: 6, border: `1px solid ${theme.border}`, boxShadow: '0 2px 8px rgba(0,0,0,0.08)', fontFamily: "'IBM Plex Sans', sans-serif" }}
-              formatter={(value, name) => [value?.toLocaleString() || '—', name]}
-            />
-          </ComposedChart>
-        </ResponsiveContainer>
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: 16, alignItems: 'center', marginBottom: 12, fontSize: 13, color: theme.textSecondary }}>
+          {models.length > 1 && (
+            <label>Model <select value={model} onChange={pick('model')} style={selectStyle}>{models.map(m => <option key={m}>{m}</option>)}</select></label>
+          )}
+          {locations.length > 1 && (
+            <label>Location <select value={location} onChange={pick('location')} style={selectStyle}>{locations.map(l => <option key={l}>{l}</option>)}</select></label>
+          )}
+          {targets.length > 1 && (
+            <label>Target <select value={target} onChange={pick('target')} style={selectStyle}>{targets.map(t => <option key={t}>{t}</option>)}</select></label>
+          )}
+          <span style={{ display: 'flex', gap: 4, alignItems: 'center' }}>
+            Horizons
+            {[0, 1, 2, 3].map(h => (
+              <button key={h} onClick={() => setHorizons(hs => toggleIn(hs, h))} style={chipStyle(horizons.includes(h))}>{h}</button>
+            ))}
+          </span>
+          {trajectories.length > 0 && (
+            <button onClick={() => setShowTrajectories(!showTrajectories)} style={chipStyle(showTrajectories)}>Trajectories</button>
+          )}
+        </div>
+
+        <div style={{ fontSize: 13, color: theme.textSecondary, marginBottom: 16 }}>
+          <div style={{ marginBottom: 6 }}>Reference dates <span style={{ color: theme.textMuted }}>(select several to overlay them)</span></div>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: 4 }}>
+            {availableDates.map(d => (
+              <button key={d} onClick={() => setReferenceDates(toggleIn(shownDates, d))} style={chipStyle(shownDates.includes(d))}>{d}</button>
+            ))}
+          </div>
+        </div>
+
+        <ExportFrame name="forecast-fan-chart">
+          <FanChart series={series} forecasts={shown} levels={levels} trajectories={drawn} />
+        </ExportFrame>
 
-        <div style={{ display: 'flex', justifyContent: 'center', gap: 24, marginTop: 16, fontSize: 12, color: theme.textMuted }}>
+        <div style={{ display: 'flex', justifyContent: 'center', flexWrap: 'wrap', gap: 24, marginTop: 16, fontSize: 12, color: theme.textMuted }}>
           <span style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
             <span style={{ width: 12, height: 3, background: theme.primary, borderRadius: 1 }}></span> Observed
           </span>
           <span style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
             <span style={{ width: 12, height: 3, background: theme.accent, borderRadius: 1 }}></span> Median forecast
           </span>
-          {selectedPI !== 'none' && (
+          {drawn.length > 0 && (
             <span style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
-              <span style={{ width: 12, height: 12, background: theme.intervals.pi50, borderRadius: 2, opacity: 0.6 }}></span> Prediction intervals
+              <span style={{ width: 12, height: 1, background: theme.textMuted }}></span> Sample trajectories
             </span>
           )}
+          {selectedPI !== 'none' && (
+            <>
+              <span style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+                <span style={{ width: 12, height: 12, background: theme.intervals.pi50, borderRadius: 2, opacity: 0.6 }}></span> Prediction intervals
+              </span>
+              <span style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+                <span style={{ width: 8, height: 8, borderRadius: '50%', background: theme.status.good }}></span> Inside {levelKey(hitLevel)}% PI
+              </span>
+              <span style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+                <span style={{ width: 8, height: 8, borderRadius: '50%', border: `2px solid ${theme.status.caution}` }}></span> Outside
+              </span>
+            </>
+          )}
+        </div>
+
+        <div style={{ marginTop: 12, fontSize: 13, color: theme.textSecondary, textAlign: 'center' }}>
+          {checked.length > 0 && <>{hits} of {checked.length} observed values fell inside the {levelKey(hitLevel)}% interval. </>}
+          {shown.some(f => f.derived_from === 'sample') && 'Intervals are empirical quantiles of the model\'s samples. '}
+          {showTrajectories && drawn.length < trajectories.length && `Showing ${drawn.length} of ${trajectories.length} trajectories. `}
+          {usingExample && 'Illustrative season with flat-baseline forecasts — load your own on the Evaluate your forecasts tab.'}
         </div>
       </div>
 
@@ -376,30 +841,230 @@ const IntervalsModule = () => {
 };
 
 // ========== WIS MODULE ==========
-const WISModule = () => {
-  const [observed, setObserved] = useState(2000);
-  const [width, setWidth] = useState(100);
-  
-  const median = 2000;
+// WIS components: labels from metrics/wis.js (pinned to the sign convention by
+// test/wis.test.js) plus colours and explanations. The score breakdown and the
+// "WIS Components" explanation both render from this list.
+const WIS_COMPONENT_DETAILS = {
+  dispersion: {
+    color: theme.status.caution,
+    description: 'Penalizes wide intervals. A forecast saying "between 0 and 100,000" provides little actionable information, even if technically correct.',
+  },
+  overprediction: {
+    color: theme.status.highlight,
+    description: <>Applied when the observed value falls <strong>below the lower bound</strong> — the model predicted higher than reality.</>,
+  },
+  underprediction: {
+    color: theme.accent,
+    description: <>Applied when the observed value exceeds <strong>the upper bound</strong> — the model underestimated, potentially dangerous for resource planning.</>,
+  },
+};
+const wisComponents = WIS_COMPONENTS.map(c => ({ ...c, ...WIS_COMPONENT_DETAILS[c.key] }));
+
+// Ranked relative WIS for the loaded models (pairwise tournament, scaled to a baseline)
+const RelativeWISPanel = ({ scores }) => {
+  const models = useMemo(() => [...new Set(scores.map(s => s.model))].sort(), [scores]);
+  const [baseline, setBaseline] = useState(null);
+  const activeBaseline = models.includes(baseline) ? baseline : (models.find(m => /baseline/i.test(m)) || models[0]);
+  const ranking = useMemo(() => pairwiseComparison(scores, { baseline: activeBaseline }), [scores, activeBaseline]);
+
+  return (
+    <div style={{ background: theme.backgroundAlt, borderRadius: 8, padding: 24, marginBottom: 24 }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 16 }}>
+        <h3 style={{ margin: 0, fontSize: 15, fontWeight: 600, color: theme.text, fontFamily: "'IBM Plex Sans', sans-serif" }}>
+          Relative WIS of loaded models
+        </h3>
+        <label style={{ fontSize: 13, color: theme.textSecondary }}>
+          Baseline:
+          <select
+            value={activeBaseline} onChange={e => setBaseline(e.target.value)}
+            style={{
+              marginLeft: 8, padding: '6px 8px', fontSize: 13, borderRadius: 4, border: `1px solid ${theme.border}`,
+              background: 'white', color: theme.text, fontFamily: "'IBM Plex Sans', sans-serif",
+            }}
+          >
+            {models.map(m => <option key={m} value={m}>{m}</option>)}
+          </select>
+        </label>
+      </div>
+
+      <ExportFrame name="relative-wis-ranking">
+        <ResponsiveContainer width="100%" height={Math.max(120, ranking.length * 36 + 40)}>
+          <BarChart data={ranking} layout="vertical" margin={{ top: 10, right: 40, left: 20, bottom: 10 }}>
+            <XAxis type="number" domain={[0, 'auto']} tick={{ fontSize: 11, fill: theme.textMuted, fontFamily: "'IBM Plex Sans', sans-serif" }} axisLine={{ stroke: theme.border }} tickLine={false} />
+            <YAxis type="category" dataKey="model" width={160} tick={{ fontSize: 11, fill: theme.textMuted, fontFamily: "'IBM Plex Sans', sans-serif" }} axisLine={false} tickLine={false} />
+            <ReferenceLine x={1} stroke={theme.status.caution} strokeDasharray="4 4" strokeWidth={1.5} label={{ value: 'baseline', position: 'top', fontSize: 10, fill: theme.status.caution }} />
+            <Bar dataKey="wis_scaled_relative_skill" radius={[0, 3, 3, 0]}>
+              {ranking.map((d, i) => (
+                <Cell key={i} fill={d.model === activeBaseline ? theme.status.caution : d.wis_scaled_relative_skill < 1 ? theme.accent : theme.status.miss} />
+              ))}
+            </Bar>
+            <Tooltip formatter={v => [v?.toFixed(2) ?? '—', 'Relative WIS']} contentStyle={{ borderRadius: 4, border: `1px solid ${theme.border}`, fontFamily: "'IBM Plex Sans', sans-serif" }} />
+          </BarChart>
+        </ResponsiveContainer>
+      </ExportFrame>
+
+      <div style={{ marginTop: 16 }}>
+        <ScoreTable
+          rows={ranking.map((r, i) => ({ ...r, rank: i + 1 }))}
+          exportAs="relative-wis"
+          exportRows={ranking}
+          columns={[
+            { key: 'rank', label: '#' },
+            { key: 'model', label: 'Model', align: 'left' },
+            { key: 'n', label: 'Forecasts' },
+            { key: 'wis', label: 'Mean WIS', format: fmtScore },
+            { key: 'wis_relative_skill', label: 'Relative skill', format: v => v?.toFixed(2) ?? '—' },
+            { key: 'wis_scaled_relative_skill', label: 'Relative WIS', format: v => v?.toFixed(2) ?? '—' },
+          ]}
+        />
+      </div>
+    </div>
+  );
+};
+
+// Quantile builder in the WIS playground
+const PLAYGROUND_LEVELS = [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 0.95, 0.98];
+const PLAYGROUND_MIN = 1000, PLAYGROUND_MAX = 3000;
+
+// Starting point: the symmetric 95/80/50% forecast the playground always showed
+const defaultPlayground = {
+  median: 2000,
+  intervals: [
+    { level: 0.95, lower: 1600, upper: 2400 },
+    { level: 0.8, lower: 1720, upper: 2280 },
+    { level: 0.5, lower: 1840, upper: 2160 },
+  ],
+};
+
+const levelName = (level) => `${Math.round(level * 100)}%`;
+
+// Compact URL form of the playground forecast: median_level-lower-upper_..., e.g. 2000_95-1600-2400
+const playgroundCodec = {
+  encode: ({ median, intervals }) => [
+    Math.round(median),
+    ...intervals.map(i => [Math.round(i.level * 100), Math.round(i.lower), Math.round(i.upper)].join('-')),
+  ].join('_'),
+  decode: (text) => {
+    const [median, ...parts] = text.split('_');
+    const intervals = parts.map(part => {
+      const [level, lower, upper] = part.split('-').map(Number);
+      return { level: level / 100, lower, upper };
+    }).sort((a, b) => b.level - a.level);
+    const valid = Number.isFinite(Number(median)) && intervals.length > 0 && intervals.every((int, i) => (
+      PLAYGROUND_LEVELS.some(l => Math.abs(l - int.level) < 1e-9)
+      && int.lower <= Number(median) && Number(median) <= int.upper
+      && (i === 0 || (intervals[i - 1].level > int.level && intervals[i - 1].lower <= int.lower && int.upper <= intervals[i - 1].upper))
+    ));
+    return valid ? { median: Number(median), intervals } : null;
+  },
+};
+
+// Applies the shift / width / skew controls on top of the hand-edited bounds.
+// Skew stretches one side and shrinks the other, leaving the median in place.
+const shapePlayground = (base, { shift, scale, skew }) => {
+  const median = base.median + shift;
+  return {
+    median,
+    intervals: base.intervals.map(int => ({
+      level: int.level,
+      alpha: 1 - int.level,
+      name: levelName(int.level),
+      lower: Math.max(0, median - (base.median - int.lower) * scale * (1 - skew)),
+      upper: median + (int.upper - base.median) * scale * (1 + skew),
+    })),
+  };
+};
+
+// Keeps an edited bound between its neighbours so intervals stay nested
+const clampBound = (intervals, index, side, value, median) => {
+  const wider = intervals[index - 1];
+  const narrower = intervals[index + 1];
+  if (side === 'lower') return Math.min(Math.max(value, wider ? wider.lower : 0), narrower ? narrower.lower : median);
+  return Math.max(Math.min(value, wider ? wider.upper : Infinity), narrower ? narrower.upper : median);
+};
+
+// New level placed as if the forecast were normal with the widest interval's spread
+const addPlaygroundLevel = (base, level) => {
+  const widest = base.intervals[0];
+  const sdOf = (int, side) => Math.abs(int[side] - base.median) / normalQuantile(1 - (1 - int.level) / 2);
+  const z = normalQuantile(1 - (1 - level) / 2);
+  const added = {
+    level,
+    lower: base.median - (widest ? sdOf(widest, 'lower') : 200) * z,
+    upper: base.median + (widest ? sdOf(widest, 'upper') : 200) * z,
+  };
+  const intervals = [...base.intervals, added].sort((a, b) => b.level - a.level);
+  const index = intervals.indexOf(added);
+  added.lower = clampBound(intervals, index, 'lower', added.lower, base.median);
+  added.upper = clampBound(intervals, index, 'upper', added.upper, base.median);
+  return { ...base, intervals };
+};
+
+const WISModule = ({ scores = [] }) => {
+  const [observed, setObserved] = useUrlState('observed', 2000, { min: PLAYGROUND_MIN, max: PLAYGROUND_MAX });
+  const [width, setWidth] = useUrlState('width', 100, { min: 30, max: 150 });
+  const [shift, setShift] = useUrlState('shift', 0, { min: -600, max: 600 });
+  const [skew, setSkew] = useUrlState('skew', 0, { min: -80, max: 80 });
+  const [base, setBase] = useUrlState('forecast', defaultPlayground, { codec: playgroundCodec });
+  const stripRef = useRef(null);
+
   const scale = width / 100;
-  const intervals = [
-    { lower: median - 400 * scale, upper: median + 400 * scale, alpha: 0.05, name: '95%' },
-    { lower: median - 280 * scale, upper: median + 280 * scale, alpha: 0.2, name: '80%' },
-    { lower: median - 160 * scale, upper: median + 160 * scale, alpha: 0.5, name: '50%' },
-  ];
-  
-  const wis = useMemo(() => calculateWIS(observed, median, intervals), [observed, width]);
-  
-  // Calculate PIS for each interval - showing both lower and upper bound effects
-  const pis95 = useMemo(() => calculatePIS(observed, intervals[0].lower, intervals[0].upper, 0.05), [observed, width]);
-  const pis50 = useMemo(() => calculatePIS(observed, intervals[2].lower, intervals[2].upper, 0.5), [observed, width]);
-  
-  const in95 = observed >= intervals[0].lower && observed <= intervals[0].upper;
-  const in50 = observed >= intervals[2].lower && observed <= intervals[2].upper;
-  
+  const skewFactor = skew / 100;
+  const { median, intervals } = shapePlayground(base, { shift, scale, skew: skewFactor });
+  const widest = intervals[0];
+  const newLevels = PLAYGROUND_LEVELS.filter(l => !base.intervals.some(int => Math.abs(int.level - l) < 1e-9));
+
+  const wis = calculateWIS(observed, median, intervals);
+  const contributions = wisContributions(observed, median, intervals);
+  const bias = quantileBias(observed, intervalsToQuantiles(median, intervals));
+  // Same median and interval widths, centred: isolates what the asymmetry costs or saves
+  const symmetricWIS = calculateWIS(observed, median, intervals.map(int => ({
+    ...int, lower: median - (int.upper - int.lower) / 2, upper: median + (int.upper - int.lower) / 2,
+  }))).total;
+
+  // PIS of the widest interval - showing both lower and upper bound effects
+  const pisWidest = calculatePIS(observed, widest.lower, widest.upper, widest.alpha);
+  const nInside = intervals.filter(int => isInside(observed, int.lower, int.upper)).length;
+
   // Position calculations for visualization
-  const minVal = 1200, maxVal = 2800;
-  const toPercent = (v) => ((v - minVal) / (maxVal - minVal)) * 100;
+  const minVal = PLAYGROUND_MIN, maxVal = PLAYGROUND_MAX;
+  const toPercent = (v) => Math.min(100, Math.max(0, ((v - minVal) / (maxVal - minVal)) * 100));
+  const fromPointer = (clientX) => {
+    const rect = stripRef.current.getBoundingClientRect();
+    return Math.round(minVal + ((clientX - rect.left) / rect.width) * (maxVal - minVal));
+  };
+
+  // Edits happen in displayed units; undo the shift/width/skew to store them
+  const setBound = (index, side, value) => setBase(prev => {
+    const displayedMedian = prev.median + shift;
+    const factor = scale * (side === 'lower' ? 1 - skewFactor : 1 + skewFactor);
+    const offset = Math.max(0, side === 'lower' ? displayedMedian - value : value - displayedMedian) / factor;
+    const raw = side === 'lower' ? prev.median - offset : prev.median + offset;
+    const bound = clampBound(prev.intervals, index, side, raw, prev.median);
+    return { ...prev, intervals: prev.intervals.map((int, i) => i === index ? { ...int, [side]: bound } : int) };
+  });
+  const setMedian = (value) => setBase(prev => {
+    const innermost = prev.intervals[prev.intervals.length - 1];
+    const raw = value - shift;
+    return { ...prev, median: innermost ? Math.min(Math.max(raw, innermost.lower), innermost.upper) : raw };
+  });
+  const removeLevel = (index) => setBase(prev => ({ ...prev, intervals: prev.intervals.filter((_, i) => i !== index) }));
+  const reset = () => { setBase(defaultPlayground); setWidth(100); setShift(0); setSkew(0); };
+
+  const startDrag = (onValue) => (e) => {
+    e.preventDefault();
+    const move = (ev) => onValue(fromPointer(ev.clientX));
+    const up = () => {
+      window.removeEventListener('pointermove', move);
+      window.removeEventListener('pointerup', up);
+    };
+    window.addEventListener('pointermove', move);
+    window.addEventListener('pointerup', up);
+  };
+
+  const sliderLabel = { display: 'block', fontSize: 13, fontWeight: 500, color: theme.textSecondary, marginBottom: 8 };
+  const sliderValue = { fontSize: 20, fontWeight: 600, marginTop: 8, fontFamily: "'IBM Plex Sans', sans-serif" };
+  const step = intervals.length > 1 ? Math.min(8, 24 / (intervals.length - 1)) : 0;
 
   return (
     <div>
@@ -419,87 +1084,105 @@ const WISModule = () => {
 
       {/* Interactive visualization */}
       <div style={{ background: theme.backgroundAlt, borderRadius: 8, padding: 32, marginBottom: 32 }}>
-        <h3 style={{ margin: '0 0 24px 0', fontSize: 15, fontWeight: 600, color: theme.text, fontFamily: "'IBM Plex Sans', sans-serif" }}>
-          Interactive: How WIS responds to forecast errors
-        </h3>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', marginBottom: 24 }}>
+          <h3 style={{ margin: 0, fontSize: 15, fontWeight: 600, color: theme.text, fontFamily: "'IBM Plex Sans', sans-serif" }}>
+            Interactive: Build a forecast and see how WIS responds
+          </h3>
+          <button onClick={reset} style={{ padding: '4px 12px', fontSize: 12, border: `1px solid ${theme.border}`, borderRadius: 4, background: 'white', color: theme.textSecondary, cursor: 'pointer' }}>
+            Reset
+          </button>
+        </div>
         
-        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 32, marginBottom: 32 }}>
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr 1fr', gap: 24, marginBottom: 32 }}>
           <div>
-            <label style={{ display: 'block', fontSize: 13, fontWeight: 500, color: theme.textSecondary, marginBottom: 8 }}>
-              Observed value
-            </label>
+            <label style={sliderLabel}>Observed value</label>
             <input
               type="range" min={minVal} max={maxVal} value={observed}
               onChange={e => setObserved(Number(e.target.value))}
               style={{ width: '100%', accentColor: theme.accent }}
             />
-            <div style={{ fontSize: 24, fontWeight: 600, color: theme.primary, marginTop: 8, fontFamily: "'IBM Plex Sans', sans-serif" }}>
-              {observed.toLocaleString()}
-            </div>
+            <div style={{ ...sliderValue, fontSize: 24, color: theme.primary }}>{observed.toLocaleString()}</div>
           </div>
           <div>
-            <label style={{ display: 'block', fontSize: 13, fontWeight: 500, color: theme.textSecondary, marginBottom: 8 }}>
-              Interval width
-            </label>
+            <label style={sliderLabel}>Interval width</label>
             <input
               type="range" min={30} max={150} value={width}
               onChange={e => setWidth(Number(e.target.value))}
               style={{ width: '100%', accentColor: theme.accent }}
             />
-            <div style={{ fontSize: 24, fontWeight: 600, color: theme.accent, marginTop: 8, fontFamily: "'IBM Plex Sans', sans-serif" }}>
-              {width}%
+            <div style={{ ...sliderValue, color: theme.accent }}>{width}%</div>
+          </div>
+          <div>
+            <label style={sliderLabel}>Shift</label>
+            <input
+              type="range" min={-600} max={600} step={10} value={shift}
+              onChange={e => setShift(Number(e.target.value))}
+              style={{ width: '100%', accentColor: theme.accent }}
+            />
+            <div style={{ ...sliderValue, color: theme.accent }}>{shift > 0 ? '+' : ''}{shift}</div>
+          </div>
+          <div>
+            <label style={sliderLabel}>Skew</label>
+            <input
+              type="range" min={-80} max={80} step={5} value={skew}
+              onChange={e => setSkew(Number(e.target.value))}
+              style={{ width: '100%', accentColor: theme.accent }}
+            />
+            <div style={{ ...sliderValue, color: theme.accent }}>
+              {skew === 0 ? 'Symmetric' : skew > 0 ? `Right ${skew}%` : `Left ${-skew}%`}
             </div>
           </div>
         </div>
 
-        {/* Visual interval representation - with clear lower and upper bounds */}
-        <div style={{ position: 'relative', height: 100, marginBottom: 24 }}>
+        {/* Visual interval representation - drag the median or any bound */}
+        <div ref={stripRef} style={{ position: 'relative', height: 100, marginBottom: 8, touchAction: 'none' }}>
           {/* Scale line */}
           <div style={{ position: 'absolute', top: 50, left: 0, right: 0, height: 1, background: theme.border }}></div>
           
           {/* Scale labels */}
-          {[1200, 1600, 2000, 2400, 2800].map(v => (
+          {[1000, 1500, 2000, 2500, 3000].map(v => (
             <div key={v} style={{ position: 'absolute', top: 58, left: `${toPercent(v)}%`, transform: 'translateX(-50%)', fontSize: 11, color: theme.textMuted, fontFamily: "'IBM Plex Sans', sans-serif" }}>
               {v.toLocaleString()}
             </div>
           ))}
           
-          {/* Intervals with visible lower and upper bounds */}
+          {/* Intervals with draggable lower and upper bounds */}
           {intervals.map((int, i) => (
-            <React.Fragment key={i}>
+            <React.Fragment key={int.name}>
               {/* Interval band */}
               <div style={{
-                position: 'absolute', top: 32 + i * 5, height: 36 - i * 8,
+                position: 'absolute', top: 32 + i * step / 2, height: 36 - i * step,
                 left: `${toPercent(int.lower)}%`,
                 width: `${toPercent(int.upper) - toPercent(int.lower)}%`,
                 background: theme.intervals.pi95,
-                opacity: 0.1 + i * 0.1,
+                opacity: Math.min(0.6, 0.1 + i * 0.1),
                 borderRadius: 4,
               }}></div>
-              {/* Lower bound marker */}
-              <div style={{
-                position: 'absolute', top: 28 + i * 5, 
-                left: `${toPercent(int.lower)}%`,
-                width: 2, height: 44 - i * 8,
-                background: theme.intervals.pi95,
-                opacity: 0.4 + i * 0.2,
-              }}></div>
-              {/* Upper bound marker */}
-              <div style={{
-                position: 'absolute', top: 28 + i * 5, 
-                left: `${toPercent(int.upper)}%`,
-                width: 2, height: 44 - i * 8,
-                background: theme.intervals.pi95,
-                opacity: 0.4 + i * 0.2,
-              }}></div>
+              {['lower', 'upper'].map(side => (
+                <div
+                  key={side}
+                  title={`${int.name} ${side} bound: ${Math.round(int[side]).toLocaleString()}`}
+                  onPointerDown={startDrag(v => setBound(i, side, v))}
+                  style={{
+                    position: 'absolute', top: 28 + i * step / 2,
+                    left: `${toPercent(int[side])}%`, transform: 'translateX(-4px)',
+                    width: 10, height: 44 - i * step, cursor: 'ew-resize',
+                  }}
+                >
+                  <div style={{ marginLeft: 4, width: 2, height: '100%', background: theme.intervals.pi95, opacity: Math.min(1, 0.4 + i * 0.2) }}></div>
+                </div>
+              ))}
             </React.Fragment>
           ))}
           
           {/* Median line */}
-          <div style={{ 
-            position: 'absolute', top: 20, left: `${toPercent(median)}%`, 
-            width: 2, height: 36, background: theme.accent,
-          }}></div>
+          <div
+            title={`Median: ${Math.round(median).toLocaleString()}`}
+            onPointerDown={startDrag(setMedian)}
+            style={{ position: 'absolute', top: 20, left: `${toPercent(median)}%`, transform: 'translateX(-4px)', width: 10, height: 36, cursor: 'ew-resize' }}
+          >
+            <div style={{ marginLeft: 4, width: 2, height: '100%', background: theme.accent }}></div>
+          </div>
           <div style={{ 
             position: 'absolute', top: 8, left: `${toPercent(median)}%`, 
             transform: 'translateX(-50%)', fontSize: 10, color: theme.accent, fontWeight: 600,
@@ -508,7 +1191,7 @@ const WISModule = () => {
           {/* Observed marker */}
           <div style={{ 
             position: 'absolute', top: 24, left: `${toPercent(observed)}%`, 
-            transform: 'translateX(-50%)',
+            transform: 'translateX(-50%)', pointerEvents: 'none',
           }}>
             <div style={{ 
               width: 16, height: 16, borderRadius: '50%', 
@@ -518,48 +1201,139 @@ const WISModule = () => {
           </div>
           
           {/* Lower/Upper bound labels */}
-          <div style={{ position: 'absolute', top: 76, left: `${toPercent(intervals[0].lower)}%`, transform: 'translateX(-50%)', fontSize: 9, color: theme.textMuted }}>
-            L95
+          <div style={{ position: 'absolute', top: 76, left: `${toPercent(widest.lower)}%`, transform: 'translateX(-50%)', fontSize: 9, color: theme.textMuted }}>
+            L{Math.round(widest.level * 100)}
           </div>
-          <div style={{ position: 'absolute', top: 76, left: `${toPercent(intervals[0].upper)}%`, transform: 'translateX(-50%)', fontSize: 9, color: theme.textMuted }}>
-            U95
+          <div style={{ position: 'absolute', top: 76, left: `${toPercent(widest.upper)}%`, transform: 'translateX(-50%)', fontSize: 9, color: theme.textMuted }}>
+            U{Math.round(widest.level * 100)}
           </div>
         </div>
+        <div style={{ fontSize: 12, color: theme.textMuted, textAlign: 'center', marginBottom: 24 }}>
+          Drag the median or any interval bound, or edit them in the table below.
+        </div>
 
-        {/* WIS Score breakdown */}
-        <div style={{ 
-          display: 'grid', gridTemplateColumns: '1fr 1fr 1fr 1fr', gap: 16,
-          padding: 20, background: 'white', borderRadius: 8, border: `1px solid ${theme.border}`,
-        }}>
-          <div style={{ textAlign: 'center' }}>
-            <div style={{ fontSize: 32, fontWeight: 700, color: theme.primary, fontFamily: "'IBM Plex Sans', sans-serif" }}>{wis.total}</div>
-            <div style={{ fontSize: 12, color: theme.textMuted, fontWeight: 500 }}>Total WIS</div>
-          </div>
-          <div style={{ textAlign: 'center', borderLeft: `1px solid ${theme.border}`, opacity: Number(wis.dispersion) > 0 ? 1 : 0.3 }}>
-            <div style={{ fontSize: 24, fontWeight: 600, color: theme.status.caution }}>{wis.dispersion}</div>
-            <div style={{ fontSize: 11, color: theme.textMuted }}>Spread</div>
-          </div>
-          <div style={{ textAlign: 'center', borderLeft: `1px solid ${theme.border}`, opacity: Number(wis.overprediction) > 0 ? 1 : 0.3 }}>
-            <div style={{ fontSize: 24, fontWeight: 600, color: theme.status.highlight }}>{wis.overprediction}</div>
-            <div style={{ fontSize: 11, color: theme.textMuted }}>Over</div>
-          </div>
-          <div style={{ textAlign: 'center', borderLeft: `1px solid ${theme.border}`, opacity: Number(wis.underprediction) > 0 ? 1 : 0.3 }}>
-            <div style={{ fontSize: 24, fontWeight: 600, color: theme.accent }}>{wis.underprediction}</div>
-            <div style={{ fontSize: 11, color: theme.textMuted }}>Under</div>
+        {/* Interval editor with each term's contribution to WIS */}
+        <div style={{ padding: 16, background: 'white', borderRadius: 8, border: `1px solid ${theme.border}`, marginBottom: 24 }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 13 }}>
+            <thead>
+              <tr style={{ color: theme.textMuted, fontSize: 11, textTransform: 'uppercase', letterSpacing: '0.5px' }}>
+                <th style={{ textAlign: 'left', padding: '4px 8px', fontWeight: 500 }}>Interval</th>
+                <th style={{ textAlign: 'left', padding: '4px 8px', fontWeight: 500 }}>Lower</th>
+                <th style={{ textAlign: 'left', padding: '4px 8px', fontWeight: 500 }}>Upper</th>
+                <th style={{ textAlign: 'right', padding: '4px 8px', fontWeight: 500 }}>Spread</th>
+                <th style={{ textAlign: 'right', padding: '4px 8px', fontWeight: 500 }}>Penalty</th>
+                <th style={{ textAlign: 'left', padding: '4px 8px', fontWeight: 500, width: '22%' }}>Contribution</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {contributions.map((c, i) => {
+                const int = intervals[i];
+                return (
+                  <tr key={int ? int.name : 'median'} style={{ borderTop: `1px solid ${theme.border}` }}>
+                    <td style={{ padding: '6px 8px', fontWeight: 600, color: int ? theme.text : theme.accent }}>{int ? int.name : 'Median'}</td>
+                    {int ? ['lower', 'upper'].map(side => (
+                      <td key={side} style={{ padding: '6px 8px' }}>
+                        <input
+                          type="range" min={minVal} max={maxVal} value={Math.round(int[side])}
+                          aria-label={`${int.name} ${side} bound`}
+                          onChange={e => setBound(i, side, Number(e.target.value))}
+                          style={{ width: 90, accentColor: theme.intervals.pi95, verticalAlign: 'middle' }}
+                        />
+                        <span style={{ marginLeft: 6, fontVariantNumeric: 'tabular-nums' }}>{Math.round(int[side]).toLocaleString()}</span>
+                      </td>
+                    )) : (
+                      <td colSpan={2} style={{ padding: '6px 8px' }}>
+                        <input
+                          type="range" min={minVal} max={maxVal} value={Math.round(median)}
+                          aria-label="Median"
+                          onChange={e => setMedian(Number(e.target.value))}
+                          style={{ width: 90, accentColor: theme.accent, verticalAlign: 'middle' }}
+                        />
+                        <span style={{ marginLeft: 6, fontVariantNumeric: 'tabular-nums' }}>{Math.round(median).toLocaleString()}</span>
+                      </td>
+                    )}
+                    <td style={{ padding: '6px 8px', textAlign: 'right', color: theme.intervals.pi95 }}>{c.spread.toFixed(1)}</td>
+                    <td style={{ padding: '6px 8px', textAlign: 'right', color: c.penalty > 0 ? theme.status.caution : theme.textMuted }}>{c.penalty.toFixed(1)}</td>
+                    <td style={{ padding: '6px 8px' }}>
+                      <div style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+                        <div style={{ flex: 1, height: 8, background: theme.backgroundAlt, borderRadius: 4, overflow: 'hidden' }}>
+                          <div style={{ width: `${wis.total > 0 ? (c.total / wis.total) * 100 : 0}%`, height: '100%', background: c.penalty > c.spread ? theme.status.caution : theme.intervals.pi95 }}></div>
+                        </div>
+                        <span style={{ width: 40, textAlign: 'right', fontVariantNumeric: 'tabular-nums' }}>{c.total.toFixed(1)}</span>
+                      </div>
+                    </td>
+                    <td style={{ padding: '6px 8px', textAlign: 'right' }}>
+                      {int && intervals.length > 1 && (
+                        <button onClick={() => removeLevel(i)} title={`Remove the ${int.name} interval`} style={{ border: 'none', background: 'none', color: theme.textMuted, cursor: 'pointer', fontSize: 14 }}>×</button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: 12, fontSize: 13, color: theme.textSecondary }}>
+            <label>
+              Add interval:{' '}
+              <select
+                value=""
+                disabled={newLevels.length === 0}
+                onChange={e => e.target.value && setBase(prev => addPlaygroundLevel(prev, Number(e.target.value)))}
+                style={{ padding: '2px 6px', fontSize: 13 }}
+              >
+                <option value="">Choose level…</option>
+                {newLevels.map(l => <option key={l} value={l}>{levelName(l)}</option>)}
+              </select>
+            </label>
+            <span>
+              Sum of contributions = <strong>{wis.total.toFixed(1)}</strong> (each term already divided by K + ½ = {(intervals.length + 0.5).toFixed(1)})
+            </span>
           </div>
         </div>
 
+        {/* WIS Score breakdown */}
+        <ExportFrame name="wis-breakdown" kind="panel">
+          <div style={{ 
+            display: 'grid', gridTemplateColumns: '1fr 1fr 1fr 1fr 1fr', gap: 16,
+            padding: 20, background: 'white', borderRadius: 8, border: `1px solid ${theme.border}`,
+          }}>
+            <div style={{ textAlign: 'center' }}>
+              <div style={{ fontSize: 32, fontWeight: 700, color: theme.primary, fontFamily: "'IBM Plex Sans', sans-serif" }}>{wis.total.toFixed(1)}</div>
+              <div style={{ fontSize: 12, color: theme.textMuted, fontWeight: 500 }}>Total WIS</div>
+            </div>
+            {wisComponents.map(c => (
+              <div key={c.key} style={{ textAlign: 'center', borderLeft: `1px solid ${theme.border}`, opacity: wis[c.key] > 0 ? 1 : 0.3 }}>
+                <div style={{ fontSize: 24, fontWeight: 600, color: c.color }}>{wis[c.key].toFixed(1)}</div>
+                <div style={{ fontSize: 11, color: theme.textMuted }}>{c.short}</div>
+              </div>
+            ))}
+            <div style={{ textAlign: 'center', borderLeft: `2px solid ${theme.border}` }}>
+              <div style={{ fontSize: 24, fontWeight: 600, color: biasColor(bias) }}>{fmtBias(bias)}</div>
+              <div style={{ fontSize: 11, color: theme.textMuted }}>
+                Bias {bias > 0 ? '(too high)' : bias < 0 ? '(too low)' : '(centered)'}
+              </div>
+            </div>
+          </div>
+        </ExportFrame>
+
         <div style={{ marginTop: 16, fontSize: 13, color: theme.textSecondary, textAlign: 'center' }}>
-          {in95 && in50 && "Observed value is inside all intervals — minimal penalty"}
-          {in95 && !in50 && "Observed is within 95% PI but outside 50% — moderate penalty"}
-          {!in95 && observed < intervals[0].lower && "Observed is below 95% lower bound — significant underprediction penalty"}
-          {!in95 && observed > intervals[0].upper && "Observed is above 95% upper bound — significant overprediction penalty"}
+          {nInside === intervals.length && "Observed value is inside all intervals — minimal penalty"}
+          {nInside > 0 && nInside < intervals.length && `Observed is within the ${widest.name} PI but outside ${intervals.length - nInside} narrower interval${intervals.length - nInside > 1 ? 's' : ''} — moderate penalty`}
+          {nInside === 0 && observed < widest.lower && `Observed is below the ${widest.name} lower bound — significant overprediction penalty`}
+          {nInside === 0 && observed > widest.upper && `Observed is above the ${widest.name} upper bound — significant underprediction penalty`}
         </div>
+        {intervals.some(int => Math.abs((int.upper - median) - (median - int.lower)) > 0.5) && (
+          <div style={{ marginTop: 8, fontSize: 13, color: theme.textSecondary, textAlign: 'center' }}>
+            The same interval widths centred on the median would score <strong>{symmetricWIS.toFixed(1)}</strong>
+            {' '}— the asymmetry {symmetricWIS > wis.total ? 'saves' : 'costs'} {Math.abs(symmetricWIS - wis.total).toFixed(1)} here.
+          </div>
+        )}
       </div>
 
       {/* PIS Components - new section showing lower and upper bound scoring */}
       <h3 style={{ fontSize: 16, fontWeight: 600, color: theme.text, marginBottom: 16, fontFamily: "'IBM Plex Sans', sans-serif" }}>
-        Prediction Interval Score (PIS) for 95% Interval
+        Prediction Interval Score (PIS) for the {widest.name} Interval
       </h3>
       <p style={{ fontSize: 15, lineHeight: 1.7, color: theme.textSecondary, marginBottom: 16 }}>
         Each prediction interval contributes to WIS through the Prediction Interval Score, which penalizes both 
@@ -573,14 +1347,14 @@ const WISModule = () => {
               Lower Bound
             </div>
             <div style={{ fontSize: 20, fontWeight: 600, color: theme.primary, fontFamily: "'IBM Plex Sans', sans-serif" }}>
-              {Math.round(intervals[0].lower).toLocaleString()}
+              {Math.round(widest.lower).toLocaleString()}
             </div>
             <div style={{ 
               marginTop: 8, padding: '4px 8px', borderRadius: 4, fontSize: 11, fontWeight: 500,
-              background: pis95.outsideLower ? '#fef3c7' : theme.accentLight,
-              color: pis95.outsideLower ? theme.status.caution : theme.accent,
+              background: pisWidest.outsideLower ? '#fef3c7' : theme.accentLight,
+              color: pisWidest.outsideLower ? theme.status.caution : theme.accent,
             }}>
-              {pis95.outsideLower ? '⚠ Below' : '✓ Above'}
+              {pisWidest.outsideLower ? '⚠ Below' : '✓ Above'}
             </div>
           </div>
           <div style={{ padding: 16, background: 'white', borderRadius: 6, textAlign: 'center' }}>
@@ -588,7 +1362,7 @@ const WISModule = () => {
               Interval Width
             </div>
             <div style={{ fontSize: 20, fontWeight: 600, color: theme.status.caution, fontFamily: "'IBM Plex Sans', sans-serif" }}>
-              {pis95.width}
+              {pisWidest.width.toFixed(1)}
             </div>
             <div style={{ marginTop: 8, fontSize: 11, color: theme.textMuted }}>
               Width penalty
@@ -599,14 +1373,14 @@ const WISModule = () => {
               Upper Bound
             </div>
             <div style={{ fontSize: 20, fontWeight: 600, color: theme.primary, fontFamily: "'IBM Plex Sans', sans-serif" }}>
-              {Math.round(intervals[0].upper).toLocaleString()}
+              {Math.round(widest.upper).toLocaleString()}
             </div>
             <div style={{ 
               marginTop: 8, padding: '4px 8px', borderRadius: 4, fontSize: 11, fontWeight: 500,
-              background: pis95.outsideUpper ? '#fef3c7' : theme.accentLight,
-              color: pis95.outsideUpper ? theme.status.caution : theme.accent,
+              background: pisWidest.outsideUpper ? '#fef3c7' : theme.accentLight,
+              color: pisWidest.outsideUpper ? theme.status.caution : theme.accent,
             }}>
-              {pis95.outsideUpper ? '⚠ Above' : '✓ Below'}
+              {pisWidest.outsideUpper ? '⚠ Above' : '✓ Below'}
             </div>
           </div>
         </div>
@@ -616,7 +1390,7 @@ const WISModule = () => {
             PIS = Width + Boundary Penalty
           </span>
           <span style={{ fontSize: 18, fontWeight: 600, color: theme.primary, fontFamily: "'IBM Plex Sans', sans-serif" }}>
-            {pis95.width} + {pis95.penalty} = {pis95.total}
+            {pisWidest.width.toFixed(1)} + {pisWidest.penalty.toFixed(1)} = {pisWidest.total.toFixed(1)}
           </span>
         </div>
       </div>
@@ -625,22 +1399,20 @@ const WISModule = () => {
       <h3 style={{ fontSize: 16, fontWeight: 600, color: theme.text, marginBottom: 16, fontFamily: "'IBM Plex Sans', sans-serif" }}>WIS Components</h3>
       
       <div style={{ display: 'grid', gap: 12 }}>
-        <div style={{ display: 'grid', gridTemplateColumns: '120px 1fr', alignItems: 'start', padding: 16, border: `1px solid ${theme.border}`, borderRadius: 6 }}>
-          <div style={{ fontWeight: 600, color: theme.status.caution }}>Spread</div>
-          <div style={{ fontSize: 14, color: theme.textSecondary, lineHeight: 1.6 }}>
-            Penalizes wide intervals. A forecast saying "between 0 and 100,000" provides little actionable information, even if technically correct.
-          </div>
-        </div>
-        <div style={{ display: 'grid', gridTemplateColumns: '120px 1fr', alignItems: 'start', padding: 16, border: `1px solid ${theme.border}`, borderRadius: 6 }}>
-          <div style={{ fontWeight: 600, color: theme.status.highlight }}>Overprediction</div>
-          <div style={{ fontSize: 14, color: theme.textSecondary, lineHeight: 1.6 }}>
-            Applied when the observed value falls <strong>below the lower bound</strong> — the model predicted higher than reality.
+        {wisComponents.map(c => (
+          <div key={c.key} style={{ display: 'grid', gridTemplateColumns: '120px 1fr', alignItems: 'start', padding: 16, border: `1px solid ${theme.border}`, borderRadius: 6 }}>
+            <div style={{ fontWeight: 600, color: c.color }}>{c.label}</div>
+            <div style={{ fontSize: 14, color: theme.textSecondary, lineHeight: 1.6 }}>
+              {c.description}
+            </div>
           </div>
-        </div>
-        <div style={{ display: 'grid', gridTemplateColumns: '120px 1fr', alignItems: 'start', padding: 16, border: `1px solid ${theme.border}`, borderRadius: 6 }}>
-          <div style={{ fontWeight: 600, color: theme.accent }}>Underprediction</div>
+        ))}
+        <div style={{ display: 'grid', gridTemplateColumns: '120px 1fr', alignItems: 'start', padding: 16, border: `1px solid ${theme.border}`, borderRadius: 6, background: theme.backgroundAlt }}>
+          <div style={{ fontWeight: 600, color: theme.textSecondary }}>Bias</div>
           <div style={{ fontSize: 14, color: theme.textSecondary, lineHeight: 1.6 }}>
-            Applied when the observed value exceeds <strong>the upper bound</strong> — the model underestimated, potentially dangerous for resource planning.
+            Not part of WIS, but a scale-free companion to over- and underprediction: it ranges from <strong>−1</strong> (every quantile below the 
+            observation — the model predicted too low) to <strong>+1</strong> (every quantile above it — too high), and is 0 when the observation 
+            equals the median. Because it ignores the size of the miss, bias can be averaged across locations of very different scale.
           </div>
         </div>
       </div>
@@ -651,7 +1423,11 @@ const WISModule = () => {
         Raw WIS values are difficult to interpret in isolation. FluSight compares each model's WIS to a 
         simple baseline model that predicts "next week equals this week."
       </p>
-      
+      <p style={{ fontSize: 15, lineHeight: 1.7, color: theme.textSecondary, marginBottom: 16 }}>
+        Models rarely forecast exactly the same locations and dates, so each pair of models is compared only on the tasks both submitted. 
+        A model's relative skill is the geometric mean of its WIS ratios against every other model, then divided by the baseline's.
+      </p>
+      
       <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: 16, marginBottom: 24 }}>
         <div style={{ padding: 20, background: theme.accentLight, borderRadius: 6, textAlign: 'center' }}>
           <div style={{ fontSize: 24, fontWeight: 700, color: theme.accent }}>{'< 1.0'}</div>
@@ -667,9 +1443,19 @@ const WISModule = () => {
         </div>
       </div>
 
+      {new Set(scores.filter(sc => sc.output_type === 'quantile').map(sc => sc.model)).size >= 2 ? (
+        <RelativeWISPanel scores={scores} />
+      ) : (
+        <div style={{ padding: 16, marginBottom: 24, background: theme.backgroundAlt, borderRadius: 6, fontSize: 14, color: theme.textMuted }}>
+          Load forecasts from two or more models on the <strong>Evaluate your forecasts</strong> tab to rank them by relative WIS here.
+        </div>
+      )}
+
       <Callout type="warning" title="Common misconception: Lower WIS always means better">
         Some forecast targets are inherently harder than others. A 4-week ahead forecast will typically have higher WIS than 1-week ahead. 
         Small states with noisy data are harder to forecast than national-level. Always compare models on the same target, horizon, and time period.
+        WIS also grows with the size of the target, so a national score isn't comparable with a state's — scoring on the log(x + 1)
+        or per-100k scale (on the Evaluate your forecasts tab) puts locations on an equal footing.
       </Callout>
 
       <Callout type="warning" title="WIS can be gamed">
@@ -680,52 +1466,335 @@ const WISModule = () => {
       <Collapsible title="Technical details: WIS formula">
         <p>WIS approximates the Continuous Ranked Probability Score (CRPS) from quantile forecasts:</p>
         <div style={{ background: 'white', padding: 16, borderRadius: 4, fontFamily: "'IBM Plex Mono', monospace", fontSize: 13, margin: '12px 0', overflowX: 'auto' }}>
-          WIS = (1/K) × Σ [ (u - l) × (α/2) + 2×(l - y)×𝟙(y {'<'} l) + 2×(y - u)×𝟙(y {'>'} u) ]
+          WIS = 1/(K + ½) × ( ½|y - m| + Σ [ (α/2)×(u - l) + (l - y)×𝟙(y {'<'} l) + (y - u)×𝟙(y {'>'} u) ] )
         </div>
-        <p style={{ marginTop: 12 }}>Where <strong>l</strong> is the lower bound and <strong>u</strong> is the upper bound of each interval.</p>
+        <p style={{ marginTop: 12 }}>
+          Where <strong>m</strong> is the median, <strong>l</strong> and <strong>u</strong> are the lower and upper bounds of each of the <strong>K</strong> intervals, 
+          and <strong>α</strong> is one minus the interval's nominal level. The first bracketed term is the spread; the other two are the over- and underprediction penalties 
+          (the median's error counts toward whichever side it falls on), so the three components add up to WIS.
+        </p>
+        <p style={{ marginTop: 12 }}>
+          Bias follows Funk et al. (2019): for y ≤ m it is 1 − 2·max{'{'}τ : q<sub>τ</sub> ≤ y{'}'}, and for y ≥ m it is 1 − 2·min{'{'}τ : q<sub>τ</sub> ≥ y{'}'}, 
+          where q<sub>τ</sub> is the predictive quantile at level τ.
+        </p>
+        <p style={{ marginTop: 12 }}>
+          Relative WIS uses the pairwise approach of Cramer et al.: for models i and j, θ<sub>ij</sub> is the ratio of their mean WIS over shared tasks, 
+          θ<sub>i</sub> = (Π<sub>j</sub> θ<sub>ij</sub>)<sup>1/M</sup>, and relative WIS = θ<sub>i</sub> / θ<sub>baseline</sub>.
+        </p>
         <p style={{ marginTop: 12 }}><strong>Reference:</strong> Bracher et al. (2021). "Evaluating epidemic forecasts in an interval format." PLOS Computational Biology.</p>
+        <p style={{ marginTop: 12 }}><strong>Reference:</strong> Funk et al. (2019). "Assessing the performance of real-time epidemic forecasts: A case study of Ebola in the Western Area region of Sierra Leone, 2014-15." PLOS Computational Biology.</p>
+        <p style={{ marginTop: 12 }}><strong>Reference:</strong> Cramer et al. (2022). "Evaluation of individual and ensemble probabilistic forecasts of COVID-19 mortality in the United States." PNAS.</p>
       </Collapsible>
     </div>
   );
 };
 
 // ========== COVERAGE MODULE ==========
-const CoverageModule = () => {
-  const [sampleSize, setSampleSize] = useState(20);
-  const [seed, setSeed] = useState(0);
-  
-  // Generate deterministic random based on seed
-  const generateCoverage = (n, target, s) => {
-    const hits = [];
-    for (let i = 0; i < n; i++) {
-      const rand = Math.sin(s * 1000 + i * 9999) * 10000;
-      hits.push((rand - Math.floor(rand)) < target);
-    }
-    return hits;
+// Empirical vs nominal coverage for every central interval in the loaded forecasts,
+// with the 95% binomial band a calibrated model would fall inside
+const CalibrationPlot = ({ forecasts }) => {
+  const [model, setModel] = useState('all');
+  const [horizon, setHorizon] = useState('all');
+  const models = useMemo(() => [...new Set(forecasts.map(f => f.model))].sort(), [forecasts]);
+  const horizons = useMemo(() => [...new Set(forecasts.map(f => f.horizon))].sort((a, b) => a - b), [forecasts]);
+
+  const levels = useMemo(() => coverageByLevel(
+    forecasts.filter(f => (model === 'all' || f.model === model) && (horizon === 'all' || f.horizon === Number(horizon)))
+  ), [forecasts, model, horizon]);
+  const chartData = levels.map(l => ({
+    nominal: l.level * 100,
+    empirical: l.coverage * 100,
+    band: [l.band[0] * 100, l.band[1] * 100],
+    p_value: l.p_value,
+  }));
+  const flagged = levels.filter(l => l.p_value < 0.05);
+
+  const selectStyle = {
+    padding: '6px 8px', fontSize: 13, borderRadius: 4, border: `1px solid ${theme.border}`,
+    background: 'white', color: theme.text, fontFamily: "'IBM Plex Sans', sans-serif",
   };
+
+  return (
+    <div style={{ background: theme.backgroundAlt, borderRadius: 8, padding: 24, marginBottom: 24 }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 16 }}>
+        <h3 style={{ margin: 0, fontSize: 15, fontWeight: 600, color: theme.text, fontFamily: "'IBM Plex Sans', sans-serif" }}>
+          Calibration across all interval levels
+        </h3>
+        <div style={{ display: 'flex', gap: 8 }}>
+          <select value={model} onChange={e => setModel(e.target.value)} style={selectStyle}>
+            <option value="all">All models</option>
+            {models.map(m => <option key={m} value={m}>{m}</option>)}
+          </select>
+          <select value={horizon} onChange={e => setHorizon(e.target.value)} style={selectStyle}>
+            <option value="all">All horizons</option>
+            {horizons.map(h => <option key={h} value={h}>Horizon {h}</option>)}
+          </select>
+        </div>
+      </div>
+
+      <ExportFrame name="coverage-by-level">
+        <ResponsiveContainer width="100%" height={320}>
+          <ComposedChart data={chartData} margin={{ top: 10, right: 30, left: 10, bottom: 20 }}>
+            <XAxis type="number" dataKey="nominal" domain={[0, 100]} ticks={[0, 20, 40, 60, 80, 100]} tickFormatter={v => `${v}%`} tick={{ fontSize: 11, fill: theme.textMuted, fontFamily: "'IBM Plex Sans', sans-serif" }} axisLine={{ stroke: theme.border }} tickLine={false} label={{ value: 'Nominal coverage', position: 'insideBottom', offset: -10, fontSize: 11, fill: theme.textMuted }} />
+            <YAxis domain={[0, 100]} ticks={[0, 20, 40, 60, 80, 100]} tickFormatter={v => `${v}%`} tick={{ fontSize: 11, fill: theme.textMuted, fontFamily: "'IBM Plex Sans', sans-serif" }} axisLine={false} tickLine={false} />
+            <Area type="linear" dataKey="band" stroke="none" fill={theme.intervals.pi50} fillOpacity={0.25} name="95% calibration band" />
+            <Line type="linear" dataKey="nominal" stroke={theme.textMuted} strokeDasharray="4 4" strokeWidth={1} dot={false} name="Perfect calibration" />
+            <Line
+              type="linear" dataKey="empirical" stroke={theme.primary} strokeWidth={2} name="Empirical coverage"
+              dot={({ cx, cy, payload, index }) => (
+                <circle key={index} cx={cx} cy={cy} r={5} stroke="white" strokeWidth={2} fill={payload.p_value < 0.05 ? theme.status.caution : theme.primary} />
+              )}
+            />
+            <Tooltip
+              contentStyle={{ borderRadius: 6, border: `1px solid ${theme.border}`, fontFamily: "'IBM Plex Sans', sans-serif" }}
+              labelFormatter={v => `${v}% interval`}
+              formatter={(value, name) => [Array.isArray(value) ? `${value[0].toFixed(0)}–${value[1].toFixed(0)}%` : `${value.toFixed(1)}%`, name]}
+            />
+          </ComposedChart>
+        </ResponsiveContainer>
+      </ExportFrame>
+
+      <div style={{ display: 'flex', justifyContent: 'center', gap: 24, marginTop: 8, fontSize: 12, color: theme.textMuted }}>
+        <span style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+          <span style={{ width: 10, height: 10, borderRadius: '50%', background: theme.primary }}></span> Consistent with nominal
+        </span>
+        <span style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+          <span style={{ width: 10, height: 10, borderRadius: '50%', background: theme.status.caution }}></span> Miscalibrated (p {'<'} 0.05)
+        </span>
+        <span style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+          <span style={{ width: 12, height: 12, background: theme.intervals.pi50, borderRadius: 2, opacity: 0.5 }}></span> 95% band under calibration
+        </span>
+      </div>
+
+      <div style={{ padding: 16, background: 'white', borderRadius: 6, marginTop: 16, fontSize: 14, color: theme.textSecondary, lineHeight: 1.7 }}>
+        {levels.length === 0 && 'No forecasts match the current selection.'}
+        {levels.length > 0 && flagged.length === 0 && `Empirical coverage is within sampling noise of the nominal level at all ${levels.length} interval levels (n = ${levels[0].n.toLocaleString()}).`}
+        {flagged.length > 0 && (
+          <>
+            Coverage differs from nominal by more than sampling noise at {flagged.map(l => `${Math.round(l.level * 100)}%`).join(', ')}
+            {flagged.every(l => l.coverage < l.level) && ' — intervals are too narrow.'}
+            {flagged.every(l => l.coverage > l.level) && ' — intervals are too wide.'}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const PHASE_STYLES = {
+  growth: { label: 'Growth', fill: theme.status.caution },
+  peak: { label: 'Peak', fill: theme.status.highlight },
+  decline: { label: 'Decline', fill: theme.intervals.pi50 },
+};
+const COVERAGE_LEVELS = [0.5, 0.8, 0.9, 0.95];
+
+// Pooled coverage of the reference dates that fall in each phase
+const coverageByPhase = (rows) => Object.keys(PHASE_STYLES).map(phase => {
+  const inPhase = rows.filter(r => r.phase === phase);
+  const n = inPhase.reduce((s, r) => s + r.n, 0);
+  return { phase, n, coverage: n > 0 ? inPhase.reduce((s, r) => s + r.hits, 0) / n : null };
+}).filter(p => p.n > 0);
+
+// Coverage of the selected forecasts by reference date (view 'date') or over the last
+// 4 reference dates ('rolling'), each tagged with the epidemic phase it was made in.
+// Phases come from the location's own series, or for all locations the national
+// series (else the sum over locations).
+const coverageTimeline = (selected, truth, { level, view, location = 'all' }) => {
+  const national = truth.some(t => t.location === 'US') ? 'US' : null;
+  const totals = new Map();
+  truth.filter(t => (location === 'all' ? !national || t.location === national : t.location === location)).forEach(t => {
+    totals.set(t.target_end_date, (totals.get(t.target_end_date) || 0) + t.observed);
+  });
+  const phases = epidemicPhases([...totals].map(([date, value]) => ({ date, value })));
+
+  const rows = coverageOverTime(selected, { level }).map(r => {
+    const p = phases.filter(ph => ph.date <= r.reference_date).pop();
+    return {
+      ...r,
+      phase: p ? p.phase : null,
+      value: view === 'date' ? r.coverage : r.rolling_coverage,
+      band: view === 'date' ? r.band : r.rolling_band,
+    };
+  });
+  return { rows, segments: phaseSegments(rows.map(r => ({ date: r.reference_date, phase: r.phase }))) };
+};
+
+const CoverageOverTimeChart = ({ rows, segments, level, view, height = 240 }) => {
+  const tick = { fontSize: 11, fill: theme.textMuted, fontFamily: "'IBM Plex Sans', sans-serif" };
+  return (
+    <ResponsiveContainer width="100%" height={height}>
+      <ComposedChart data={rows} margin={{ top: 10, right: 20, left: 20, bottom: 20 }}>
+        {segments.map(s => (
+          <ReferenceArea key={s.start} x1={s.start} x2={s.end} fill={PHASE_STYLES[s.phase].fill} fillOpacity={0.12} stroke="none" ifOverflow="extendDomain" />
+        ))}
+        <XAxis dataKey="reference_date" tick={tick} axisLine={{ stroke: theme.border }} tickLine={false} tickFormatter={d => d.slice(5)} minTickGap={12} />
+        <YAxis domain={[0, 1]} tick={tick} axisLine={false} tickLine={false} tickFormatter={fmtPercent} />
+        <Area dataKey="band" stroke="none" fill={theme.accent} fillOpacity={0.1} isAnimationActive={false} name="Expected range" />
+        <ReferenceLine y={level} stroke={theme.accent} strokeDasharray="4 4" strokeWidth={1.5} label={{ value: `${fmtPercent(level)} target`, position: 'right', fontSize: 10, fill: theme.accent }} />
+        {view === 'date' ? (
+          <Bar dataKey="value" radius={[3, 3, 0, 0]} isAnimationActive={false} name="Coverage">
+            {rows.map(d => (
+              <Cell key={d.reference_date} fill={d.value >= d.band[0] ? theme.accent : d.value >= level / 2 ? theme.status.caution : theme.status.miss} />
+            ))}
+          </Bar>
+        ) : (
+          <Line dataKey="value" stroke={theme.accent} strokeWidth={2} dot={{ r: 3, fill: theme.accent }} isAnimationActive={false} name="Coverage" />
+        )}
+        <Tooltip
+          formatter={(v, name) => [Array.isArray(v) ? `${fmtPercent(v[0])} – ${fmtPercent(v[1])}` : fmtPercent(v), name]}
+          contentStyle={{ borderRadius: 4, border: `1px solid ${theme.border}`, fontFamily: "'IBM Plex Sans', sans-serif" }}
+        />
+      </ComposedChart>
+    </ResponsiveContainer>
+  );
+};
+
+const PhaseLegend = () => (
+  <div style={{ display: 'flex', justifyContent: 'center', flexWrap: 'wrap', gap: 20, marginTop: 8, fontSize: 12, color: theme.textMuted }}>
+    {Object.entries(PHASE_STYLES).map(([key, s]) => (
+      <span key={key} style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+        <span style={{ width: 12, height: 12, borderRadius: 2, background: s.fill, opacity: 0.35 }}></span> {s.label}
+      </span>
+    ))}
+    <span style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+      <span style={{ width: 12, height: 12, borderRadius: 2, background: theme.accent, opacity: 0.15 }}></span> Range expected from a calibrated model
+    </span>
+  </div>
+);
+
+// Per-reference-date and rolling coverage of one model, with epidemic phases shaded
+// from the observed series. Falls back to the illustrative season when nothing is loaded.
+const CoverageOverTimePanel = ({ forecasts: loaded, truth: loadedTruth }) => {
+  const [choice, setChoice] = useState({});
+  const [level, setLevel] = useUrlState('level', 0.95, { options: COVERAGE_LEVELS });
+  const [view, setView] = useUrlState('view', 'date', { options: ['date', 'rolling'] });
+
+  const usingExample = loaded.length === 0 || loadedTruth.length === 0;
+  const { forecasts, truth } = useMemo(() => {
+    if (!usingExample) return { forecasts: loaded, truth: loadedTruth };
+    const example = exampleFanData();
+    return { forecasts: joinTargetData(example.forecasts, example.truth).matched, truth: example.truth };
+  }, [usingExample, loaded, loadedTruth]);
+
+  const options = (key) => [...new Set(forecasts.map(f => f[key]))].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  const models = options('model');
+  const locations = options('location');
+  const horizons = options('horizon');
+  const model = models.includes(choice.model) ? choice.model
+    : (models.find(m => /ensemble/i.test(m)) || models.find(m => !/baseline/i.test(m)) || models[0]);
+  const horizon = choice.horizon !== undefined ? choice.horizon : horizons.includes(2) ? '2' : 'all';
+  const location = locations.includes(choice.location) ? choice.location : 'all';
+
+  const selected = forecasts.filter(f => f.model === model
+    && (horizon === 'all' || f.horizon === Number(horizon))
+    && (location === 'all' || f.location === location));
+
+  const { rows, segments } = useMemo(
+    () => coverageTimeline(selected, truth, { level, view, location }),
+    [forecasts, truth, model, horizon, location, level, view]
+  );
+  const pooledN = rows.reduce((s, r) => s + r.n, 0);
+  const pooled = pooledN > 0 ? rows.reduce((s, r) => s + r.hits, 0) / pooledN : null;
+  const worst = rows.reduce((w, r) => (w === null || r.coverage < w.coverage ? r : w), null);
+  const byPhase = coverageByPhase(rows);
+
+  const selectStyle = { marginLeft: 6, padding: '4px 8px', fontSize: 13, borderRadius: 4, border: `1px solid ${theme.border}`, fontFamily: "'IBM Plex Sans', sans-serif" };
+  const pick = (key) => e => setChoice(c => ({ ...c, [key]: e.target.value }));
+  const horizonText = horizon === 'all' ? 'all-horizon' : `${horizon}-week ahead`;
+
+  return (
+    <>
+      <p style={{ fontSize: 15, lineHeight: 1.7, color: theme.textSecondary, marginBottom: 16 }}>
+        {fmtPercent(level)} coverage of {usingExample ? 'flat-baseline' : <strong>{model}</strong>}{usingExample ? '' : "'s"} {horizonText} forecasts
+        {location === 'all' ? '' : ` for ${location}`}, {view === 'date' ? 'by reference date' : 'over the last 4 reference dates'}
+        {usingExample ? ' in an illustrative season — load your own on the Evaluate your forecasts tab' : ''}:
+      </p>
+
+      <div style={{ background: theme.backgroundAlt, borderRadius: 8, padding: 24, marginBottom: 24 }}>
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: 16, alignItems: 'center', marginBottom: 16, fontSize: 13, color: theme.textSecondary }}>
+          {models.length > 1 && (
+            <label>Model<select value={model} onChange={pick('model')} style={selectStyle}>{models.map(m => <option key={m}>{m}</option>)}</select></label>
+          )}
+          {locations.length > 1 && (
+            <label>Location
+              <select value={location} onChange={pick('location')} style={selectStyle}>
+                <option value="all">All locations</option>
+                {locations.map(l => <option key={l}>{l}</option>)}
+              </select>
+            </label>
+          )}
+          <label>Horizon
+            <select value={horizon} onChange={pick('horizon')} style={selectStyle}>
+              <option value="all">All</option>
+              {horizons.map(h => <option key={h} value={h}>{h}</option>)}
+            </select>
+          </label>
+          <span style={{ display: 'flex', gap: 4, alignItems: 'center' }}>
+            {COVERAGE_LEVELS.map(l => <button key={l} onClick={() => setLevel(l)} style={chipStyle(level === l)}>{fmtPercent(l)}</button>)}
+          </span>
+          <span style={{ display: 'flex', gap: 4, alignItems: 'center' }}>
+            <button onClick={() => setView('date')} style={chipStyle(view === 'date')}>Per date</button>
+            <button onClick={() => setView('rolling')} style={chipStyle(view === 'rolling')}>Rolling 4 weeks</button>
+          </span>
+        </div>
+
+        <ExportFrame name="coverage-over-time">
+          <CoverageOverTimeChart rows={rows} segments={segments} level={level} view={view} />
+        </ExportFrame>
+        <PhaseLegend />
+
+        {worst && (
+          <div style={{ padding: 16, background: 'white', borderRadius: 6, marginTop: 16 }}>
+            <div style={{ fontWeight: 600, fontSize: 14, marginBottom: 8 }}>What happened?</div>
+            <p style={{ fontSize: 14, color: theme.textSecondary, lineHeight: 1.7, margin: 0 }}>
+              Across {pooledN} forecasts, {fmtPercent(pooled)} of observations fell inside the {fmtPercent(level)} interval. 
+              Coverage was lowest ({fmtPercent(worst.coverage)}) for forecasts made on {worst.reference_date}
+              {worst.phase ? `, during the ${worst.phase} phase` : ''}.
+              {byPhase.length > 0 && (
+                <> By phase: {byPhase.map(p => `${PHASE_STYLES[p.phase].label.toLowerCase()} ${fmtPercent(p.coverage)} (n = ${p.n})`).join(', ')}.</>
+              )}
+              {byPhase.some(p => p.phase !== 'decline' && p.coverage < pooled) && ' Coverage tends to drop while activity is changing fastest, when recent data are the poorest guide to the next few weeks.'}
+            </p>
+          </div>
+        )}
+      </div>
+    </>
+  );
+};
+
+// 1-week ahead forecasts from the simulator's well-calibrated model, one synthetic
+// season per seed: { 95: [hit, ...], 50: [hit, ...] } for the first n forecasts
+const simulatedHits = (n, seed) => {
+  const random = createRandom(seed);
+  const forecasts = simulatedForecasts(random, syntheticEpidemic(random, { weeks: n + 1 }), 'calibrated', { horizons: [1] }).slice(0, n);
+  const hitsAt = (level) => forecasts.map(f => {
+    const int = quantilesToIntervals(f.quantiles).intervals.find(i => Math.abs(i.level - level) < 1e-9);
+    return isInside(f.observed, int.lower, int.upper);
+  });
+  return { 95: hitsAt(0.95), 50: hitsAt(0.5) };
+};
+
+const CoverageModule = ({ forecasts = [], truth = [] }) => {
+  const [sampleSize, setSampleSize] = useUrlState('n', 20, { min: 10, max: 50, integer: true });
+  const [seed, setSeed] = useUrlState('seed', 0, { integer: true });
   
-  const hits95 = useMemo(() => generateCoverage(sampleSize, 0.95, seed), [sampleSize, seed]);
-  const hits50 = useMemo(() => generateCoverage(sampleSize, 0.50, seed + 1), [sampleSize, seed]);
+  // Hits of a well-calibrated model's forecasts of a synthetic epidemic, replayable from the seed
+  const hits = useMemo(() => simulatedHits(sampleSize, seed), [sampleSize, seed]);
+  const hits95 = hits[95];
+  const hits50 = hits[50];
   
   const cov95 = ((hits95.filter(Boolean).length / sampleSize) * 100).toFixed(0);
   const cov50 = ((hits50.filter(Boolean).length / sampleSize) * 100).toFixed(0);
 
-  const fluSightData = [
-    { period: 'Nov 2024', coverage: 90 },
-    { period: 'Dec 2024', coverage: 68 },
-    { period: 'Jan 4', coverage: 6 },
-    { period: 'Jan 18', coverage: 52 },
-    { period: 'Feb 2025', coverage: 40 },
-    { period: 'Mar 2025', coverage: 88 },
-    { period: 'Apr 2025', coverage: 95 },
-  ];
-
   // Coverage visualization helper - horizontal bar style instead of squares
   const CoverageBar = ({ hits, target, label }) => {
     const total = hits.length;
     const hitCount = hits.filter(Boolean).length;
     const coverage = (hitCount / total) * 100;
-    const isCalibrated = Math.abs(coverage - target) < 15;
+    // Exact binomial test against the nominal level, rather than a fixed tolerance
+    const pValue = binomialTest(hitCount, total, target / 100);
+    const isCalibrated = pValue >= 0.05;
+    const [bandLow, bandHigh] = calibrationBand(total, target / 100);
     
     return (
       <div style={{ background: 'white', borderRadius: 8, padding: 20 }}>
@@ -755,6 +1824,13 @@ const CoverageModule = () => {
             ))}
           </div>
           
+          {/* Range a calibrated forecaster would land in 95% of the time */}
+          <div style={{
+            position: 'absolute', top: 0, bottom: 0,
+            left: `${bandLow * 100}%`, width: `${(bandHigh - bandLow) * 100}%`,
+            background: theme.primary, opacity: 0.12,
+          }}></div>
+
           {/* Target line */}
           <div style={{
             position: 'absolute',
@@ -803,6 +1879,10 @@ const CoverageModule = () => {
             {isCalibrated ? 'Well calibrated' : 'Needs attention'}
           </div>
         </div>
+        <div style={{ marginTop: 8, fontSize: 11, color: theme.textMuted }}>
+          Binomial test vs. {target}%: p = {pValue < 0.001 ? '< 0.001' : pValue.toFixed(3)} · 
+          calibrated range {Math.round(bandLow * 100)}–{Math.round(bandHigh * 100)}%
+        </div>
       </div>
     );
   };
@@ -851,13 +1931,30 @@ const CoverageModule = () => {
           </div>
           
           <div style={{ marginTop: 16, padding: 12, background: 'white', borderRadius: 4, fontSize: 13, color: theme.textSecondary }}>
-            Each segment represents one forecast. <span style={{ color: theme.accent, fontWeight: 600 }}>■</span> = hit (inside interval), 
-            <span style={{ color: theme.border }}> ■</span> = miss (outside). The vertical line shows the target coverage.
+            Each segment represents one 1-week ahead forecast of a synthetic epidemic (seed {seed}) by a model that is well calibrated by construction. 
+            <span style={{ color: theme.accent, fontWeight: 600 }}> ■</span> = hit (inside interval), 
+            <span style={{ color: theme.border }}> ■</span> = miss (outside). The vertical line shows the target coverage and the shaded 
+            band the range a well-calibrated model would reach 95% of the time with this many forecasts. 
+            The <strong>Simulation</strong> tab repeats this over many seasons and models.
           </div>
         </div>
         <WaveBorder position="bottom" color={theme.accentLight} />
       </div>
 
+      {/* Calibration plot from loaded forecasts */}
+      <h3 style={{ fontSize: 16, fontWeight: 600, color: theme.text, marginBottom: 16, fontFamily: "'IBM Plex Sans', sans-serif" }}>Calibration plot</h3>
+      <p style={{ fontSize: 15, lineHeight: 1.7, color: theme.textSecondary, marginBottom: 16 }}>
+        Looking at only the 50% and 95% intervals hides most of a quantile forecast. Plotting empirical against nominal coverage 
+        for every interval shows whether a model is too confident (points below the diagonal) or too cautious (above it).
+      </p>
+      {forecasts.length > 0 ? (
+        <CalibrationPlot forecasts={forecasts} />
+      ) : (
+        <div style={{ padding: 16, marginBottom: 32, background: theme.backgroundAlt, borderRadius: 6, fontSize: 14, color: theme.textMuted }}>
+          Load forecasts and target data on the <strong>Evaluate your forecasts</strong> tab to see their calibration across all interval levels.
+        </div>
+      )}
+
       {/* Sharpness vs calibration */}
       <h3 style={{ fontSize: 16, fontWeight: 600, color: theme.text, marginBottom: 16, fontFamily: "'IBM Plex Sans', sans-serif" }}>Sharpness vs. Calibration</h3>
       <p style={{ fontSize: 15, lineHeight: 1.7, color: theme.textSecondary, marginBottom: 16 }}>
@@ -881,35 +1978,9 @@ const CoverageModule = () => {
         </div>
       </div>
 
-      {/* Real FluSight data */}
-      <h3 style={{ fontSize: 16, fontWeight: 600, color: theme.text, marginBottom: 16, fontFamily: "'IBM Plex Sans', sans-serif" }}>Real-world example: FluSight 2024–25</h3>
-      <p style={{ fontSize: 15, lineHeight: 1.7, color: theme.textSecondary, marginBottom: 16 }}>
-        95% coverage of the FluSight ensemble's 2-week ahead forecasts:
-      </p>
-      
-      <div style={{ background: theme.backgroundAlt, borderRadius: 8, padding: 24, marginBottom: 24 }}>
-        <ResponsiveContainer width="100%" height={220}>
-          <BarChart data={fluSightData} margin={{ top: 10, right: 20, left: 20, bottom: 20 }}>
-            <XAxis dataKey="period" tick={{ fontSize: 11, fill: theme.textMuted, fontFamily: "'IBM Plex Sans', sans-serif" }} axisLine={{ stroke: theme.border }} tickLine={false} />
-            <YAxis domain={[0, 100]} tick={{ fontSize: 11, fill: theme.textMuted, fontFamily: "'IBM Plex Sans', sans-serif" }} axisLine={false} tickLine={false} tickFormatter={v => `${v}%`} />
-            <ReferenceLine y={95} stroke={theme.accent} strokeDasharray="4 4" strokeWidth={1.5} label={{ value: '95% target', position: 'right', fontSize: 10, fill: theme.accent }} />
-            <Bar dataKey="coverage" radius={[3, 3, 0, 0]}>
-              {fluSightData.map((d, i) => (
-                <Cell key={i} fill={d.coverage >= 80 ? theme.accent : d.coverage >= 50 ? theme.status.caution : theme.status.miss} />
-              ))}
-            </Bar>
-            <Tooltip formatter={v => [`${v}%`, 'Coverage']} contentStyle={{ borderRadius: 4, border: `1px solid ${theme.border}`, fontFamily: "'IBM Plex Sans', sans-serif" }} />
-          </BarChart>
-        </ResponsiveContainer>
-        
-        <div style={{ padding: 16, background: 'white', borderRadius: 6, marginTop: 16 }}>
-          <div style={{ fontWeight: 600, fontSize: 14, marginBottom: 8 }}>What happened?</div>
-          <p style={{ fontSize: 14, color: theme.textSecondary, lineHeight: 1.7, margin: 0 }}>
-            Coverage dropped to just 6% at the January 4th peak. Rapid surges in hospitalizations are extremely difficult to predict — 
-            models underestimate during exponential growth. Coverage recovered once activity stabilized in March.
-          </p>
-        </div>
-      </div>
+      {/* Coverage over time, computed from the loaded (or example) forecasts */}
+      <h3 style={{ fontSize: 16, fontWeight: 600, color: theme.text, marginBottom: 16, fontFamily: "'IBM Plex Sans', sans-serif" }}>Coverage over the season</h3>
+      <CoverageOverTimePanel forecasts={forecasts} truth={truth} />
 
       <Callout type="warning" title="Coverage alone is not enough">
         A model with high coverage might simply be using very wide intervals. Always evaluate coverage alongside WIS, 
@@ -927,6 +1998,11 @@ const CoverageModule = () => {
           Coverage = (# of hits) / (# of forecasts) × 100%
         </div>
         <p>Where a "hit" means: <strong>lower bound ≤ observed ≤ upper bound</strong></p>
+        <p style={{ marginTop: 12 }}>
+          With n forecasts of a (1 - α) interval, a perfectly calibrated model's hit count follows a Binomial(n, 1 - α) distribution. 
+          The calibration badge uses an exact two-sided binomial test at the 5% level, and the shaded bands mark the central 95% of that distribution. 
+          The test treats forecasts as independent; forecasts for neighbouring weeks, horizons or locations usually are not, so borderline results deserve caution.
+        </p>
         <p style={{ marginTop: 12 }}>
           <strong>Reference:</strong> Gneiting et al. (2007). "Probabilistic forecasts, calibration and sharpness." JRSS-B.
         </p>
@@ -935,9 +2011,1434 @@ const CoverageModule = () => {
   );
 };
 
+// ========== SIMULATION ==========
+const SIM_BINS = 20;
+// Season lengths and replicate counts offered; larger runs would stall the page
+const SIMULATION_WEEKS = [5, 10, 20, 30];
+const SIMULATION_SEASONS = [50, 100, 200];
+
+// Counts of replicate coverages in 5-point bins, flagged when the bin lies inside the calibrated band
+const coverageHistogram = (values, band) => Array.from({ length: SIM_BINS }, (_, b) => ({
+  bin: b / SIM_BINS,
+  count: values.filter(v => Math.min(SIM_BINS - 1, Math.floor(v * SIM_BINS)) === b).length,
+  inBand: (b + 1) / SIM_BINS > band[0] && b / SIM_BINS <= band[1],
+}));
+
+const quantileOf = (values, p) => empiricalQuantile([...values].sort((a, b) => a - b), p);
+
+const SimulationModule = () => {
+  const [models, setModels] = useUrlState('models', Object.keys(SIMULATED_MODELS), { options: Object.keys(SIMULATED_MODELS), nonEmpty: true });
+  const [weeks, setWeeks] = useUrlState('weeks', 20, { options: SIMULATION_WEEKS });
+  const [replicates, setReplicates] = useUrlState('seasons', 100, { options: SIMULATION_SEASONS });
+  const [seed, setSeed] = useUrlState('seed', 1, { integer: true });
+  const [level, setLevel] = useUrlState('level', 0.95, { options: [0.5, 0.95] });
+  const [result, setResult] = useState(null);
+  const [running, setRunning] = useState(false);
+
+  // Simulating a few hundred seasons takes a moment, so let the "Running" state paint first
+  useEffect(() => {
+    setRunning(true);
+    const timer = setTimeout(() => {
+      setResult({ rows: simulateReplicates({ seed, replicates, weeks, models }), weeks });
+      setRunning(false);
+    }, 0);
+    return () => clearTimeout(timer);
+  }, [seed, replicates, weeks, models.join()]);
+
+  const column = `interval_coverage_${Math.round(level * 100)}`;
+  const rows = result ? result.rows : [];
+  const n = rows.length > 0 ? rows[0].n : 0;
+  const band = calibrationBand(n, level);
+  const byModel = models.filter(m => rows.some(r => r.model === m)).map(m => ({ model: m, rows: rows.filter(r => r.model === m) }));
+
+  // How often each model has the lowest mean WIS in a season
+  const wins = new Map();
+  for (let r = 0; r < (rows.length > 0 ? replicates : 0); r++) {
+    const season = rows.filter(row => row.replicate === r);
+    if (season.length === 0) continue;
+    const best = season.reduce((a, b) => (b.wis < a.wis ? b : a));
+    wins.set(best.model, (wins.get(best.model) || 0) + 1);
+  }
+  const wisTable = byModel.map(({ model, rows: rs }) => {
+    const wis = rs.map(r => r.wis);
+    return {
+      model: SIMULATED_MODELS[model].label,
+      mean: wis.reduce((a, b) => a + b, 0) / wis.length,
+      median: quantileOf(wis, 0.5),
+      range: [quantileOf(wis, 0.05), quantileOf(wis, 0.95)],
+      coverage: rs.reduce((a, r) => a + r[column], 0) / rs.length,
+      flagged: rs.filter(r => binomialTest(Math.round(r[column] * r.n), r.n, level) < 0.05).length / rs.length,
+      best: (wins.get(model) || 0) / rs.length,
+    };
+  });
+
+  const selectStyle = { marginLeft: 6, padding: '4px 8px', fontSize: 13, borderRadius: 4, border: `1px solid ${theme.border}`, fontFamily: "'IBM Plex Sans', sans-serif" };
+  const tick = { fontSize: 10, fill: theme.textMuted, fontFamily: "'IBM Plex Sans', sans-serif" };
+
+  return (
+    <div>
+      <p style={{ fontSize: 16, lineHeight: 1.8, color: theme.text, marginBottom: 24 }}>
+        One season of forecasts is a small sample. This simulator generates many synthetic epidemics, forecasts each with models whose 
+        flaws are known in advance, and shows how much their coverage and WIS vary from one season to the next.
+      </p>
+
+      <div style={{ background: theme.backgroundAlt, borderRadius: 8, padding: 24, marginBottom: 24 }}>
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: 16, alignItems: 'center', marginBottom: 16, fontSize: 13, color: theme.textSecondary }}>
+          <span style={{ display: 'flex', gap: 4, alignItems: 'center' }}>
+            Models
+            {Object.entries(SIMULATED_MODELS).map(([key, spec]) => (
+              <button key={key} onClick={() => setModels(ms => Object.keys(SIMULATED_MODELS).filter(k => (k === key ? !ms.includes(k) || ms.length === 1 : ms.includes(k))))} style={chipStyle(models.includes(key))}>
+                {spec.label}
+              </button>
+            ))}
+          </span>
+          <label>Weeks per season
+            <select value={weeks} onChange={e => setWeeks(Number(e.target.value))} style={selectStyle}>
+              {SIMULATION_WEEKS.map(w => <option key={w} value={w}>{w}</option>)}
+            </select>
+          </label>
+          <label>Seasons
+            <select value={replicates} onChange={e => setReplicates(Number(e.target.value))} style={selectStyle}>
+              {SIMULATION_SEASONS.map(r => <option key={r} value={r}>{r}</option>)}
+            </select>
+          </label>
+          <label>Seed
+            <input type="number" value={seed} onChange={e => setSeed(Number(e.target.value) || 0)} style={{ ...selectStyle, width: 64 }} />
+          </label>
+          <button onClick={() => setSeed(s => s + 1)} style={{ ...chipStyle(false), padding: '6px 12px' }}>New seed</button>
+          <span style={{ display: 'flex', gap: 4, alignItems: 'center' }}>
+            {[0.5, 0.95].map(l => <button key={l} onClick={() => setLevel(l)} style={chipStyle(level === l)}>{fmtPercent(l)} PI</button>)}
+          </span>
+          {running && <span style={{ color: theme.textMuted }}>Running…</span>}
+        </div>
+
+        <div style={{ fontSize: 13, color: theme.textSecondary, marginBottom: 12 }}>
+          {fmtPercent(level)} coverage per season ({n} forecasts each: {result ? result.weeks : weeks} reference dates × 4 horizons). 
+          Shaded bars fall inside the range a calibrated model reaches 95% of the time ({fmtPercent(band[0])}–{fmtPercent(band[1])}).
+        </div>
+        <ExportFrame name="simulated-coverage" kind="panel">
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 12 }}>
+            {byModel.map(({ model, rows: rs }) => (
+              <div key={model} style={{ padding: 12, background: 'white', borderRadius: 6, border: `1px solid ${theme.border}` }}>
+                <div style={{ fontSize: 13, fontWeight: 600, color: theme.text, marginBottom: 4 }}>{SIMULATED_MODELS[model].label}</div>
+                <ResponsiveContainer width="100%" height={140}>
+                  <BarChart data={coverageHistogram(rs.map(r => r[column]), band)} margin={{ top: 4, right: 8, left: -20, bottom: 0 }} barCategoryGap={1}>
+                    <XAxis dataKey="bin" tick={tick} tickFormatter={fmtPercent} interval={3} axisLine={{ stroke: theme.border }} tickLine={false} />
+                    <YAxis tick={tick} allowDecimals={false} axisLine={false} tickLine={false} />
+                    <Bar dataKey="count" isAnimationActive={false}>
+                      {coverageHistogram(rs.map(r => r[column]), band).map(d => (
+                        <Cell key={d.bin} fill={d.inBand ? theme.accent : theme.status.caution} />
+                      ))}
+                    </Bar>
+                    <Tooltip formatter={v => [v, 'Seasons']} labelFormatter={b => `${fmtPercent(b)}–${fmtPercent(b + 1 / SIM_BINS)} coverage`} contentStyle={{ borderRadius: 4, border: `1px solid ${theme.border}`, fontFamily: "'IBM Plex Sans', sans-serif" }} />
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+            ))}
+          </div>
+        </ExportFrame>
+      </div>
+
+      <h3 style={{ fontSize: 16, fontWeight: 600, color: theme.text, marginBottom: 16, fontFamily: "'IBM Plex Sans', sans-serif" }}>Across {replicates} simulated seasons</h3>
+      <ScoreTable
+        rows={wisTable}
+        exportAs="simulated-seasons"
+        exportRows={rows}
+        columns={[
+          { key: 'model', label: 'Model', align: 'left' },
+          { key: 'mean', label: 'Mean WIS', format: fmtScore },
+          { key: 'median', label: 'Median WIS', format: fmtScore },
+          { key: 'range', label: 'WIS 5–95%', render: r => `${fmtScore(r.range[0])} – ${fmtScore(r.range[1])}` },
+          { key: 'coverage', label: `${fmtPercent(level)} cov.`, format: fmtPercent },
+          { key: 'flagged', label: 'Flagged miscalibrated', format: fmtPercent },
+          { key: 'best', label: 'Lowest WIS', format: fmtPercent },
+        ]}
+      />
+      <p style={{ fontSize: 13, color: theme.textMuted, marginTop: 8 }}>
+        <strong>Flagged miscalibrated</strong>: share of seasons in which the binomial test rejects the nominal level (p {'<'} 0.05). 
+        <strong> Lowest WIS</strong>: share of seasons in which the model scored best.
+      </p>
+
+      <Callout type="info" title="What to look for">
+        Even the well-calibrated model lands outside its expected range in some seasons, and a flawed model can look fine in a single season. 
+        Shorten the season to see how quickly the histograms spread out and how often the best model stops ranking first.
+      </Callout>
+
+      <Collapsible title="Technical details: How the simulation works">
+        <p>
+          Each season is a smooth epidemic curve with random peak size and timing. Weekly observations add lognormal reporting noise 
+          (10% on the log scale). Every model sees the true curve with a forecast error that grows with horizon (5% per week ahead), 
+          and the well-calibrated model reports a lognormal predictive distribution with exactly the right spread.
+        </p>
+        <ul style={{ marginTop: 12, marginLeft: 20 }}>
+          {Object.values(SIMULATED_MODELS).map(spec => (
+            <li key={spec.label}>
+              <strong>{spec.label}</strong>: spread × {spec.spread}, median shifted by {spec.shift} on the log scale, {spec.lag} week{spec.lag === 1 ? '' : 's'} behind.
+            </li>
+          ))}
+        </ul>
+        <p style={{ marginTop: 12 }}>
+          Random numbers come from a seeded mulberry32 generator with Box–Muller normals, so the same seed always reproduces the same seasons.
+        </p>
+      </Collapsible>
+    </div>
+  );
+};
+
+// ========== DIAGNOSTICS ==========
+// Idealized PIT histograms for the "how to read" panel
+const examplePIT = {
+  calibrated: [1, 1, 1, 1, 1, 1, 1, 1, 1, 1],
+  narrow: [2.2, 1.4, 0.8, 0.5, 0.35, 0.35, 0.5, 0.8, 1.4, 2.2],
+  wide: [0.3, 0.6, 0.9, 1.3, 1.6, 1.6, 1.3, 0.9, 0.6, 0.3],
+  under: [0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1.1, 1.3, 1.6, 2.1],
+};
+
+const MiniPIT = ({ densities, title, caption }) => (
+  <div style={{ padding: 16, background: 'white', borderRadius: 6, border: `1px solid ${theme.border}` }}>
+    <div style={{ fontWeight: 600, fontSize: 13, marginBottom: 8 }}>{title}</div>
+    <ResponsiveContainer width="100%" height={70}>
+      <BarChart data={densities.map((density, i) => ({ i, density }))} margin={{ top: 0, right: 0, left: 0, bottom: 0 }} barCategoryGap={1}>
+        <YAxis hide domain={[0, 2.4]} />
+        <Bar dataKey="density" fill={theme.intervals.pi80} isAnimationActive={false} />
+        <ReferenceLine y={1} stroke={theme.primary} strokeDasharray="3 3" />
+      </BarChart>
+    </ResponsiveContainer>
+    <div style={{ fontSize: 12, color: theme.textMuted, marginTop: 8, lineHeight: 1.5 }}>{caption}</div>
+  </div>
+);
+
+// Plain-language reading of diagnosePIT, one callout per finding
+const PITReading = ({ diagnosis }) => {
+  const { bias, dispersion, n } = diagnosis;
+  if (!bias && !dispersion) {
+    return (
+      <Callout type="success" title="Flat histogram → no clear sign of miscalibration">
+        With {n.toLocaleString()} forecasts, the PIT values are consistent with a uniform distribution: the forecasts are neither 
+        systematically biased nor clearly too narrow or too wide.
+      </Callout>
+    );
+  }
+  return (
+    <>
+      {dispersion === 'too-narrow' && (
+        <Callout type="warning" title="U-shaped → intervals too narrow">
+          Too many observations land in the tails of the forecast distribution. The model is overconfident; its prediction intervals should be wider.
+        </Callout>
+      )}
+      {dispersion === 'too-wide' && (
+        <Callout type="warning" title="Hump-shaped → intervals too wide">
+          Observations cluster near the middle of the forecast distribution. The model is underconfident; it could issue sharper intervals.
+        </Callout>
+      )}
+      {bias === 'under' && (
+        <Callout type="warning" title="Mass at high PIT values → underprediction">
+          Observations tend to fall above the forecast median, so the model predicts values that are too low.
+        </Callout>
+      )}
+      {bias === 'over' && (
+        <Callout type="warning" title="Mass at low PIT values → overprediction">
+          Observations tend to fall below the forecast median, so the model predicts values that are too high.
+        </Callout>
+      )}
+    </>
+  );
+};
+
+const DiagnosticsModule = ({ forecasts = [] }) => {
+  const [model, setModel] = useState('all');
+  const [horizon, setHorizon] = useState('all');
+  const models = useMemo(() => [...new Set(forecasts.map(f => f.model))].sort(), [forecasts]);
+  const horizons = useMemo(() => [...new Set(forecasts.map(f => f.horizon))].sort((a, b) => a - b), [forecasts]);
+
+  const selected = useMemo(
+    () => forecasts.filter(f => (model === 'all' || f.model === model) && (horizon === 'all' || f.horizon === Number(horizon))),
+    [forecasts, model, horizon]
+  );
+  const pits = useMemo(() => pitValues(selected), [selected]);
+  const histogram = useMemo(() => pitHistogram(pits).map(b => ({ ...b, label: `${b.bin_start.toFixed(1)}–${b.bin_end.toFixed(1)}` })), [pits]);
+  const diagnosis = useMemo(() => diagnosePIT(pits), [pits]);
+  const oneSided = useMemo(() => quantileCoverage(selected).map(q => ({
+    nominal: q.level * 100,
+    empirical: q.coverage * 100,
+    band: [q.band[0] * 100, q.band[1] * 100],
+  })), [selected]);
+
+  const selectStyle = {
+    padding: '6px 8px', fontSize: 13, borderRadius: 4, border: `1px solid ${theme.border}`,
+    background: 'white', color: theme.text, fontFamily: "'IBM Plex Sans', sans-serif",
+  };
+
+  return (
+    <div>
+      <p style={{ fontSize: 16, lineHeight: 1.8, color: theme.text, marginBottom: 24 }}>
+        Interval coverage says <em>how often</em> observations miss, but not <em>why</em>. The <strong>probability integral transform (PIT)</strong> 
+        asks where each observation fell within its forecast distribution — its predicted percentile. For a calibrated model, 
+        those percentiles are spread evenly between 0 and 1.
+      </p>
+
+      <h3 style={{ fontSize: 16, fontWeight: 600, color: theme.text, marginBottom: 16, fontFamily: "'IBM Plex Sans', sans-serif" }}>How to read a PIT histogram</h3>
+      <ExportFrame name="pit-shapes" kind="panel">
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: 12, marginBottom: 32 }}>
+          <MiniPIT densities={examplePIT.calibrated} title="Flat" caption="Calibrated: observations land anywhere in the distribution equally often." />
+          <MiniPIT densities={examplePIT.narrow} title="U-shaped" caption="Intervals too narrow: observations keep landing in the tails." />
+          <MiniPIT densities={examplePIT.wide} title="Hump-shaped" caption="Intervals too wide: observations cluster near the median." />
+          <MiniPIT densities={examplePIT.under} title="Sloped" caption="Biased: rising to the right means the model predicts too low." />
+        </div>
+      </ExportFrame>
+
+      {forecasts.length === 0 ? (
+        <div style={{ padding: 32, background: theme.backgroundAlt, borderRadius: 8, textAlign: 'center', fontSize: 14, color: theme.textMuted }}>
+          Load forecasts and target data on the <strong>Evaluate your forecasts</strong> tab to see their PIT histogram and quantile coverage.
+        </div>
+      ) : (
+        <div style={{ background: theme.backgroundAlt, borderRadius: 8, padding: 32 }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 24 }}>
+            <h3 style={{ margin: 0, fontSize: 15, fontWeight: 600, color: theme.text, fontFamily: "'IBM Plex Sans', sans-serif" }}>
+              Loaded forecasts ({selected.length.toLocaleString()})
+            </h3>
+            <div style={{ display: 'flex', gap: 8 }}>
+              <select value={model} onChange={e => setModel(e.target.value)} style={selectStyle}>
+                <option value="all">All models</option>
+                {models.map(m => <option key={m} value={m}>{m}</option>)}
+              </select>
+              <select value={horizon} onChange={e => setHorizon(e.target.value)} style={selectStyle}>
+                <option value="all">All horizons</option>
+                {horizons.map(h => <option key={h} value={h}>Horizon {h}</option>)}
+              </select>
+            </div>
+          </div>
+
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 24 }}>
+            <div style={{ background: 'white', borderRadius: 8, padding: 16 }}>
+              <div style={{ fontSize: 13, fontWeight: 600, color: theme.textSecondary, marginBottom: 8 }}>PIT histogram</div>
+              <ExportFrame name="pit-histogram">
+                <ResponsiveContainer width="100%" height={240}>
+                  <BarChart data={histogram} margin={{ top: 10, right: 10, left: 0, bottom: 10 }} barCategoryGap={2}>
+                    <XAxis dataKey="label" tick={{ fontSize: 10, fill: theme.textMuted, fontFamily: "'IBM Plex Sans', sans-serif" }} axisLine={{ stroke: theme.border }} tickLine={false} interval={1} />
+                    <YAxis tick={{ fontSize: 11, fill: theme.textMuted, fontFamily: "'IBM Plex Sans', sans-serif" }} axisLine={false} tickLine={false} />
+                    <ReferenceLine y={1} stroke={theme.primary} strokeDasharray="4 4" label={{ value: 'uniform', position: 'right', fontSize: 10, fill: theme.primary }} />
+                    <Bar dataKey="density" fill={theme.intervals.pi80} radius={[2, 2, 0, 0]} />
+                    <Tooltip formatter={(v, name, { payload }) => [`${v.toFixed(2)} (${payload.count} forecasts)`, 'Density']} contentStyle={{ borderRadius: 4, border: `1px solid ${theme.border}`, fontFamily: "'IBM Plex Sans', sans-serif" }} />
+                  </BarChart>
+                </ResponsiveContainer>
+              </ExportFrame>
+            </div>
+            <div style={{ background: 'white', borderRadius: 8, padding: 16 }}>
+              <div style={{ fontSize: 13, fontWeight: 600, color: theme.textSecondary, marginBottom: 8 }}>Quantile coverage (share of observations ≤ quantile)</div>
+              <ExportFrame name="quantile-coverage">
+                <ResponsiveContainer width="100%" height={240}>
+                  <ComposedChart data={oneSided} margin={{ top: 10, right: 10, left: 0, bottom: 10 }}>
+                    <XAxis type="number" dataKey="nominal" domain={[0, 100]} ticks={[0, 25, 50, 75, 100]} tickFormatter={v => `${v}%`} tick={{ fontSize: 11, fill: theme.textMuted, fontFamily: "'IBM Plex Sans', sans-serif" }} axisLine={{ stroke: theme.border }} tickLine={false} />
+                    <YAxis domain={[0, 100]} ticks={[0, 25, 50, 75, 100]} tickFormatter={v => `${v}%`} tick={{ fontSize: 11, fill: theme.textMuted, fontFamily: "'IBM Plex Sans', sans-serif" }} axisLine={false} tickLine={false} />
+                    <Area type="linear" dataKey="band" stroke="none" fill={theme.intervals.pi50} fillOpacity={0.25} name="95% calibration band" />
+                    <Line type="linear" dataKey="nominal" stroke={theme.textMuted} strokeDasharray="4 4" strokeWidth={1} dot={false} name="Perfect calibration" />
+                    <Line type="linear" dataKey="empirical" stroke={theme.primary} strokeWidth={2} dot={{ r: 3, fill: theme.primary }} name="Empirical" />
+                    <Tooltip
+                      contentStyle={{ borderRadius: 6, border: `1px solid ${theme.border}`, fontFamily: "'IBM Plex Sans', sans-serif" }}
+                      labelFormatter={v => `${v}% quantile`}
+                      formatter={(value, name) => [Array.isArray(value) ? `${value[0].toFixed(0)}–${value[1].toFixed(0)}%` : `${value.toFixed(1)}%`, name]}
+                    />
+                  </ComposedChart>
+                </ResponsiveContainer>
+              </ExportFrame>
+            </div>
+          </div>
+
+          <div style={{ marginTop: 16, fontSize: 13, color: theme.textSecondary }}>
+            Mean PIT {diagnosis.mean.toFixed(3)} (uniform: 0.500) · PIT variance {diagnosis.variance.toFixed(3)} (uniform: 0.083)
+          </div>
+          <PITReading diagnosis={diagnosis} />
+        </div>
+      )}
+
+      <Collapsible title="Technical details: PIT from quantile forecasts">
+        <p>
+          For a forecast with predictive CDF F, the PIT of observation y is F(y). Quantile forecasts only give F at the submitted levels, 
+          so F(y) is interpolated linearly between the two quantiles that bracket y. Observations beyond the outermost quantiles are assigned 
+          the midpoint of the tail (e.g. 0.005 below the 1% quantile), and an observation equal to several tied quantiles gets the midpoint of their levels.
+        </p>
+        <p style={{ marginTop: 12 }}>
+          The reading above flags bias when the mean PIT is more than two standard errors from 0.5, and a dispersion problem when the PIT variance 
+          is more than two standard errors from 1/12, the variance of a uniform distribution.
+        </p>
+        <p style={{ marginTop: 12 }}>
+          <strong>Reference:</strong> Gneiting et al. (2007). "Probabilistic forecasts, calibration and sharpness." JRSS-B.
+        </p>
+      </Collapsible>
+    </div>
+  );
+};
+
+// ========== EVALUATE ==========
+// Reads files selected in an <input type="file"> as text, tagging each with its name
+const readFiles = (fileList) => Promise.all(
+  [...fileList].map(file => file.text().then(text => ({ name: file.name, text })))
+);
+
+// Stacked bar of the WIS components for one row, scaled to the largest WIS in the table
+const DecompositionBar = ({ row, max }) => (
+  <div style={{ display: 'flex', width: 120, height: 10, background: theme.backgroundAlt, borderRadius: 2, overflow: 'hidden' }}>
+    {wisComponents.map(c => (
+      <div key={c.key} title={`${c.label}: ${fmtScore(row[c.key])}`} style={{ width: `${max > 0 ? (row[c.key] / max) * 100 : 0}%`, background: c.color }}></div>
+    ))}
+  </div>
+);
+
+// File picker card for the Evaluate tab
+const FileDrop = ({ label, hint, multiple, onFiles, loaded }) => (
+  <div style={{ padding: 20, background: 'white', borderRadius: 8, border: `1px solid ${theme.border}` }}>
+    <div style={{ fontSize: 13, fontWeight: 600, color: theme.textSecondary, marginBottom: 4 }}>{label}</div>
+    <div style={{ fontSize: 12, color: theme.textMuted, marginBottom: 12, lineHeight: 1.5 }}>{hint}</div>
+    <input
+      type="file" accept=".csv,text/csv" multiple={multiple}
+      onChange={e => { if (e.target.files.length > 0) onFiles(e.target.files); }}
+      style={{ fontSize: 12, fontFamily: "'IBM Plex Sans', sans-serif" }}
+    />
+    {loaded && <div style={{ marginTop: 12, fontSize: 12, color: theme.accent, fontWeight: 500 }}>✓ {loaded}</div>}
+  </div>
+);
+
+// Combine loaded models into ensembles that are scored like any other model
+const EnsembleBuilder = ({ models, ensembles, setEnsembles }) => {
+  const [members, setMembers] = useState(null);
+  const [method, setMethod] = useState('mean');
+  const chosen = (members || models.filter(m => !/baseline/i.test(m))).filter(m => models.includes(m));
+
+  const add = () => {
+    const base = `Ensemble-${method}`;
+    const taken = new Set([...models, ...ensembles.map(e => e.model)]);
+    let model = base;
+    for (let i = 2; taken.has(model); i++) model = `${base}-${i}`;
+    setEnsembles(list => [...list, { model, method, models: chosen }]);
+  };
+
+  return (
+    <div style={{ marginTop: 16, padding: 16, background: theme.backgroundAlt, borderRadius: 8, fontSize: 13, color: theme.textSecondary }}>
+      <div style={{ fontWeight: 600, color: theme.text, marginBottom: 8 }}>Build an ensemble</div>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: 4, alignItems: 'center', marginBottom: 8 }}>
+        <span style={{ marginRight: 4 }}>Members</span>
+        {models.map(m => (
+          <button
+            key={m}
+            onClick={() => setMembers(chosen.includes(m) ? chosen.filter(x => x !== m) : [...chosen, m])}
+            style={chipStyle(chosen.includes(m))}
+          >
+            {m}
+          </button>
+        ))}
+      </div>
+      <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+        <select value={method} onChange={e => setMethod(e.target.value)} style={{ padding: '4px 8px', fontSize: 13, borderRadius: 4, border: `1px solid ${theme.border}`, fontFamily: "'IBM Plex Sans', sans-serif" }}>
+          {Object.entries(ENSEMBLE_METHODS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+        </select>
+        <button onClick={add} disabled={chosen.length < 2} style={{ ...chipStyle(true), padding: '6px 12px', opacity: chosen.length < 2 ? 0.5 : 1 }}>
+          Add ensemble
+        </button>
+        {chosen.length < 2 && <span style={{ color: theme.textMuted }}>Choose at least two members.</span>}
+      </div>
+      {ensembles.length > 0 && (
+        <ul style={{ margin: '12px 0 0', paddingLeft: 20 }}>
+          {ensembles.map(e => (
+            <li key={e.model} style={{ marginBottom: 4 }}>
+              <strong style={{ color: theme.text }}>{e.model}</strong> — {ENSEMBLE_METHODS[e.method]} of {e.models.join(', ')}
+              <button onClick={() => setEnsembles(list => list.filter(x => x.model !== e.model))} title={`Remove ${e.model}`} style={{ marginLeft: 8, border: 'none', background: 'none', color: theme.textMuted, cursor: 'pointer' }}>×</button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <div style={{ marginTop: 8, fontSize: 12, color: theme.textMuted }}>
+        Ensembles combine members level by level for each task. Weighted ensembles give each member a weight of 1 / relative WIS, 
+        using only scores whose target end date precedes the forecast's reference date.
+      </div>
+    </div>
+  );
+};
+
+// Score columns averaged in the Evaluate summary and location x horizon table
+const EVALUATE_COLUMNS = ['wis', 'dispersion', 'overprediction', 'underprediction', 'bias', 'ae_median', 'crps', 'log_score', 'rps', 'interval_coverage_50', 'interval_coverage_95'];
+
+const EvaluateModule = ({ forecasts, setForecasts, truth, setTruth, includeBaseline, setIncludeBaseline, ensembles, setEnsembles, evaluation, sampleLevels, setSampleLevels, scale, setScale }) => {
+  const [forecastFiles, setForecastFiles] = useState([]);
+  const [truthFile, setTruthFile] = useState(null);
+  const [error, setError] = useState(null);
+  const [model, setModel] = useState('all');
+  const [target, setTarget] = useState('all');
+
+  const loadForecasts = (fileList) => {
+    readFiles(fileList)
+      .then(files => {
+        const parsed = files.flatMap(f => {
+          try {
+            return parseModelOutput(parseCSV(f.text), { model: modelFromFilename(f.name) });
+          } catch (err) {
+            throw new Error(`${f.name}: ${err.message}`);
+          }
+        });
+        setForecasts(parsed);
+        setForecastFiles(files.map(f => f.name));
+        setError(null);
+      })
+      .catch(err => setError(err.message));
+  };
+
+  const loadTruth = (fileList) => {
+    readFiles(fileList)
+      .then(([f]) => {
+        try {
+          setTruth(parseTargetData(parseCSV(f.text)));
+        } catch (err) {
+          throw new Error(`${f.name}: ${err.message}`);
+        }
+        setTruthFile(f.name);
+        setError(null);
+      })
+      .catch(err => setError(err.message));
+  };
+
+  const { scores, skipped, unmatched } = evaluation;
+  const memberModels = useMemo(() => [...new Set(evaluation.forecasts
+    .filter(f => f.output_type === 'quantile' && !ensembles.some(e => e.model === f.model))
+    .map(f => f.model))].sort(), [evaluation.forecasts, ensembles]);
+  const models = useMemo(() => [...new Set(scores.map(s => s.model))].sort(), [scores]);
+  const targets = useMemo(() => [...new Set(scores.map(s => s.target))].sort(), [scores]);
+
+  const filtered = useMemo(
+    () => scores.filter(s => (model === 'all' || s.model === model) && (target === 'all' || s.target === target)),
+    [scores, model, target]
+  );
+  const outputTypes = useMemo(() => new Set(filtered.map(s => s.output_type)), [filtered]);
+  const overall = useMemo(() => summarizeScores(filtered, [], EVALUATE_COLUMNS)[0], [filtered]);
+  const byLocationHorizon = useMemo(
+    () => summarizeScores(filtered, ['location', 'horizon'], EVALUATE_COLUMNS)
+      .sort((a, b) => a.location.localeCompare(b.location) || a.horizon - b.horizon),
+    [filtered]
+  );
+  const maxWIS = Math.max(0, ...byLocationHorizon.map(r => r.wis));
+
+  const selectStyle = {
+    padding: '6px 8px', fontSize: 13, borderRadius: 4, border: `1px solid ${theme.border}`,
+    background: 'white', color: theme.text, fontFamily: "'IBM Plex Sans', sans-serif",
+  };
+
+  return (
+    <div>
+      <p style={{ fontSize: 16, lineHeight: 1.8, color: theme.text, marginBottom: 24 }}>
+        Score your own submissions before sending them. Load one or more <strong>Hubverse model-output</strong> files and 
+        a <strong>target-data</strong> file — everything is computed in your browser and nothing is uploaded.
+      </p>
+
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 24, marginBottom: 24 }}>
+        <FileDrop
+          label="Model-output CSV(s)"
+          hint="Columns: reference_date, target, horizon, location, output_type, output_type_id, value. quantile, sample and pmf rows are read. The model is taken from a model_id column or the file name."
+          multiple
+          onFiles={loadForecasts}
+          loaded={forecastFiles.length > 0 && `${forecastFiles.length} file(s), ${forecasts.length.toLocaleString()} forecasts`}
+        />
+        <FileDrop
+          label="Target-data CSV"
+          hint="Columns: date (or target_end_date), location, value (or observation). An optional target column is matched too."
+          onFiles={loadTruth}
+          loaded={truthFile && `${truthFile}, ${truth.length.toLocaleString()} observations`}
+        />
+      </div>
+
+      <label style={{ display: 'flex', alignItems: 'center', gap: 8, fontSize: 13, color: theme.textSecondary, opacity: truth.length > 0 ? 1 : 0.5 }}>
+        <input
+          type="checkbox" checked={includeBaseline} disabled={truth.length === 0}
+          onChange={e => setIncludeBaseline(e.target.checked)}
+          style={{ accentColor: theme.accent }}
+        />
+        Add a flat baseline (<strong>{BASELINE_MODEL}</strong>) generated from the target data, so relative WIS works without a baseline file
+      </label>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 4, marginTop: 12, fontSize: 13, color: theme.textSecondary }}>
+        <span style={{ marginRight: 4 }}>Score on</span>
+        {Object.entries(SCORING_SCALES).map(([id, label]) => (
+          <button key={id} onClick={() => setScale(id)} style={chipStyle(scale === id)}>{label}</button>
+        ))}
+        <span style={{ marginLeft: 4, color: theme.textMuted }}>
+          {scale === 'log' && 'relative errors, so large and small locations weigh alike (Bosse et al. 2023)'}
+          {scale === 'per100k' && 'rates per 100,000 residents, from bundled census populations for US states and the nation'}
+        </span>
+      </div>
+
+      {forecasts.some(f => f.output_type === 'sample') && (
+        <div style={{ marginTop: 12, fontSize: 13, color: theme.textSecondary }}>
+          <div style={{ marginBottom: 6 }}>
+            Sample forecasts are scored and charted as empirical quantiles at these central interval levels
+            <span style={{ color: theme.textMuted }}> (CRPS still uses every sample)</span>
+          </div>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: 4 }}>
+            {SAMPLE_INTERVAL_LEVELS.map(level => (
+              <button key={level} onClick={() => setSampleLevels(ls => toggleIn(ls, level))} style={chipStyle(sampleLevels.includes(level))}>
+                {Math.round(level * 100)}%
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {memberModels.length >= 2 && <EnsembleBuilder models={memberModels} ensembles={ensembles} setEnsembles={setEnsembles} />}
+
+      {error && <Callout type="warning" title="Could not read file">{error}</Callout>}
+
+      {(unmatched.length > 0 || skipped.length > 0) && (
+        <Callout type="warning" title="Some forecasts were not scored">
+          {unmatched.length > 0 && <div>{unmatched.length.toLocaleString()} forecast(s) have no matching observation (location + target end date) in the target data.</div>}
+          {skipped.length > 0 && <div>{skipped.length.toLocaleString()} forecast(s) failed validation, e.g. {skipped[0].forecast.location} / {skipped[0].forecast.reference_date}: {skipped[0].reason}</div>}
+        </Callout>
+      )}
+
+      {scores.length === 0 ? (
+        <div style={{ padding: 32, marginTop: 24, background: theme.backgroundAlt, borderRadius: 8, textAlign: 'center', fontSize: 14, color: theme.textMuted }}>
+          Scores appear here once both files are loaded and at least one forecast matches an observation.
+        </div>
+      ) : (
+        <div style={{ background: theme.backgroundAlt, borderRadius: 8, padding: 32, marginTop: 24 }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 24 }}>
+            <h3 style={{ margin: 0, fontSize: 15, fontWeight: 600, color: theme.text, fontFamily: "'IBM Plex Sans', sans-serif" }}>
+              Scores by location and horizon
+            </h3>
+            <div style={{ display: 'flex', gap: 8 }}>
+              <select value={model} onChange={e => setModel(e.target.value)} style={selectStyle}>
+                <option value="all">All models</option>
+                {models.map(m => <option key={m} value={m}>{m}</option>)}
+              </select>
+              <select value={target} onChange={e => setTarget(e.target.value)} style={selectStyle}>
+                <option value="all">All targets</option>
+                {targets.map(t => <option key={t} value={t}>{t}</option>)}
+              </select>
+            </div>
+          </div>
+
+          {overall && overall.wis !== null && (
+            <div style={{
+              display: 'grid', gridTemplateColumns: 'repeat(7, 1fr)', gap: 16, marginBottom: 24,
+              padding: 20, background: 'white', borderRadius: 8, border: `1px solid ${theme.border}`,
+            }}>
+              <div style={{ textAlign: 'center' }}>
+                <div style={{ fontSize: 28, fontWeight: 700, color: theme.primary, fontFamily: "'IBM Plex Sans', sans-serif" }}>{fmtScore(overall.wis)}</div>
+                <div style={{ fontSize: 12, color: theme.textMuted, fontWeight: 500 }}>Mean WIS</div>
+              </div>
+              {wisComponents.map(c => (
+                <div key={c.key} style={{ textAlign: 'center', borderLeft: `1px solid ${theme.border}` }}>
+                  <div style={{ fontSize: 20, fontWeight: 600, color: c.color }}>{fmtScore(overall[c.key])}</div>
+                  <div style={{ fontSize: 11, color: theme.textMuted }}>{c.short}</div>
+                </div>
+              ))}
+              <div style={{ textAlign: 'center', borderLeft: `1px solid ${theme.border}` }}>
+                <div style={{ fontSize: 20, fontWeight: 600, color: biasColor(overall.bias) }}>{fmtBias(overall.bias)}</div>
+                <div style={{ fontSize: 11, color: theme.textMuted }}>Bias</div>
+              </div>
+              <div style={{ textAlign: 'center', borderLeft: `1px solid ${theme.border}` }}>
+                <div style={{ fontSize: 20, fontWeight: 600, color: theme.accent }}>{fmtPercent(overall.interval_coverage_50)}</div>
+                <div style={{ fontSize: 11, color: theme.textMuted }}>50% coverage</div>
+              </div>
+              <div style={{ textAlign: 'center', borderLeft: `1px solid ${theme.border}` }}>
+                <div style={{ fontSize: 20, fontWeight: 600, color: theme.accent }}>{fmtPercent(overall.interval_coverage_95)}</div>
+                <div style={{ fontSize: 11, color: theme.textMuted }}>95% coverage</div>
+              </div>
+            </div>
+          )}
+
+          {/* Downloads are the per-forecast rows behind the table, as scoringutils' score() returns them */}
+          <ScoreTable
+            rows={byLocationHorizon}
+            exportAs="scores"
+            exportRows={filtered}
+            columns={[
+              { key: 'location', label: 'Location', align: 'left' },
+              { key: 'horizon', label: 'Horizon' },
+              { key: 'n', label: 'N' },
+              ...(outputTypes.has('quantile') ? [
+                { key: 'wis', label: 'WIS', format: fmtScore },
+                ...wisComponents.map(c => ({ key: c.key, label: c.short, format: fmtScore })),
+                { key: 'decomposition', label: 'Breakdown', align: 'left', render: row => <DecompositionBar row={row} max={maxWIS} /> },
+                { key: 'bias', label: 'Bias', render: row => <span style={{ color: biasColor(row.bias) }}>{fmtBias(row.bias)}</span> },
+              ] : []),
+              ...(outputTypes.has('sample') ? [{ key: 'crps', label: 'CRPS', format: fmtScore }] : []),
+              ...(outputTypes.has('quantile') || outputTypes.has('sample') ? [{ key: 'ae_median', label: 'AE median', format: fmtScore }] : []),
+              ...(outputTypes.has('pmf') ? [{ key: 'log_score', label: 'Log score', format: v => v?.toFixed(2) ?? '—' }] : []),
+              ...(filtered.some(sc => sc.rps !== undefined) ? [{ key: 'rps', label: 'RPS', format: v => v?.toFixed(3) ?? '—' }] : []),
+              ...(outputTypes.has('quantile') ? [
+                { key: 'interval_coverage_50', label: '50% cov.', format: fmtPercent },
+                { key: 'interval_coverage_95', label: '95% cov.', format: fmtPercent },
+              ] : []),
+            ]}
+          />
+        </div>
+      )}
+
+      {new Set(scores.filter(sc => sc.output_type === 'quantile').map(sc => sc.model)).size >= 2 && (
+        <div style={{ marginTop: 24 }}>
+          <RelativeWISPanel scores={scores.filter(sc => target === 'all' || sc.target === target)} />
+        </div>
+      )}
+
+      <Collapsible title="Technical details: How files are joined">
+        <p>
+          Quantile rows are grouped into one forecast per model, reference date, target, horizon and location. 
+          The target end date is read from a <code>target_end_date</code> column when present, otherwise it is the reference date plus 7 × horizon days.
+        </p>
+        <p style={{ marginTop: 12 }}>
+          The flat baseline follows the FluSight baseline: for each reference date its median is the last observation before that date, 
+          and the other quantiles come from the past week-to-week changes, counted in both directions so the distribution is symmetric. 
+          The spread grows with the square root of the number of weeks ahead and values are truncated at zero.
+        </p>
+        <p style={{ marginTop: 12 }}>
+          Each forecast is matched to the observation with the same location and target end date (and target, if the target data has one), 
+          then scored with the same WIS and coverage code used on the other tabs. Forecasts whose quantiles are missing a median, 
+          are not symmetric, or cross each other are listed above instead of being scored.
+        </p>
+        <p style={{ marginTop: 12 }}>Each Hubverse output type gets the proper scores that suit it:</p>
+        <ul style={{ marginTop: 12, marginLeft: 20 }}>
+          <li><strong>quantile</strong>: WIS and its decomposition, bias, absolute error of the median, 50%/95% interval coverage</li>
+          <li><strong>sample</strong>: CRPS, computed exactly from the samples as E|X − y| − ½ E|X − X′|, and absolute error of the sample median</li>
+          <li><strong>pmf</strong>: log score, −ln p(observed category), using oracle-output target data whose observed category has oracle_value 1;
+            rate-change categories also get the ranked probability score and can be classified from the counts (see the Rate trends tab)</li>
+        </ul>
+      </Collapsible>
+    </div>
+  );
+};
+
+// ========== COMPARE MODELS ==========
+// One row per model: forecast count, mean WIS, coverage and bias, with pairwise relative
+// skill. relative_wis is scaled to the baseline when there is one, else unscaled.
+const modelLeaderboard = (quantileScores, baseline) => {
+  const relative = new Map(pairwiseComparison(quantileScores, { baseline }).map(r => [r.model, r]));
+  return summarizeScores(quantileScores, ['model'], ['wis', 'interval_coverage_50', 'interval_coverage_95', 'bias']).map(r => ({
+    ...r,
+    wis_relative_skill: relative.get(r.model)?.wis_relative_skill ?? null,
+    wis_scaled_relative_skill: relative.get(r.model)?.wis_scaled_relative_skill ?? null,
+    relative_wis: baseline
+      ? relative.get(r.model)?.wis_scaled_relative_skill ?? null
+      : relative.get(r.model)?.wis_relative_skill ?? null,
+  }));
+};
+
+const CompareModule = ({ forecasts: loaded = [], truth = [], scores = [] }) => {
+  const [choice, setChoice] = useState({});
+  const [horizons, setHorizons] = useUrlState('h', [0, 1, 2, 3], { options: [0, 1, 2, 3], nonEmpty: true });
+  const [selectedModel, setSelectedModel] = useState(null);
+
+  const forecasts = loaded.filter(f => f.output_type === 'quantile');
+  const quantileScores = scores.filter(s => s.output_type === 'quantile');
+  const options = (list, key) => [...new Set(list.map(f => f[key]))].sort();
+  const targets = options(forecasts, 'target');
+  const target = targets.includes(choice.target) ? choice.target : targets[0];
+  const locations = options(forecasts.filter(f => f.target === target), 'location');
+  const location = locations.includes(choice.location) ? choice.location : locations[0];
+  const task = forecasts.filter(f => f.target === target && f.location === location);
+  const dates = options(task, 'reference_date');
+  const referenceDate = dates.includes(choice.reference_date) ? choice.reference_date : dates[dates.length - 1];
+  const models = options(forecasts, 'model');
+
+  const series = useMemo(() => truth
+    .filter(t => t.location === location && (t.target === null || t.target === target))
+    .map(t => ({ date: t.target_end_date, value: t.observed })), [truth, location, target]);
+  const panels = models.map(model => ({
+    model,
+    forecasts: task.filter(f => f.model === model && f.reference_date === referenceDate && horizons.includes(f.horizon)),
+  }));
+
+  // One y-axis for every panel, so a wide fan looks wide next to a narrow one
+  const yMax = Math.max(1, ...panels.flatMap(p => fanChartRows(series, p.forecasts, FAN_LEVELS, null).rows.flatMap(r => [
+    r.observed ?? 0,
+    ...Object.values(r).filter(Array.isArray).map(v => v[1]),
+  ])));
+
+  const baseline = models.find(m => /baseline/i.test(m));
+  const table = useMemo(() => modelLeaderboard(quantileScores, baseline), [scores, baseline]);
+
+  const selectStyle = { marginLeft: 6, padding: '4px 8px', fontSize: 13, borderRadius: 4, border: `1px solid ${theme.border}`, fontFamily: "'IBM Plex Sans', sans-serif" };
+  const pick = (key) => e => setChoice(c => ({ ...c, [key]: e.target.value }));
+
+  if (models.length === 0 || truth.length === 0) {
+    return (
+      <div>
+        <p style={{ fontSize: 16, lineHeight: 1.8, color: theme.text, marginBottom: 24 }}>
+          Compare ensemble, baseline and individual models side by side: one fan chart per model for the same location and date, 
+          and a table of their scores.
+        </p>
+        <div style={{ padding: 16, background: theme.backgroundAlt, borderRadius: 6, fontSize: 14, color: theme.textMuted }}>
+          Load forecasts from one or more models and the target data on the <strong>Evaluate your forecasts</strong> tab to compare them here.
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <p style={{ fontSize: 16, lineHeight: 1.8, color: theme.text, marginBottom: 24 }}>
+        Each panel shows one model's forecast for the same location and reference date, on a shared scale. 
+        Click a model in the table to highlight it in every chart.
+      </p>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: 16, alignItems: 'center', marginBottom: 16, fontSize: 13, color: theme.textSecondary }}>
+        {targets.length > 1 && (
+          <label>Target<select value={target} onChange={pick('target')} style={selectStyle}>{targets.map(t => <option key={t}>{t}</option>)}</select></label>
+        )}
+        <label>Location<select value={location} onChange={pick('location')} style={selectStyle}>{locations.map(l => <option key={l}>{l}</option>)}</select></label>
+        <label>Reference date<select value={referenceDate} onChange={pick('reference_date')} style={selectStyle}>{dates.map(d => <option key={d}>{d}</option>)}</select></label>
+        <span style={{ display: 'flex', gap: 4, alignItems: 'center' }}>
+          Horizons
+          {[0, 1, 2, 3].map(h => (
+            <button key={h} onClick={() => setHorizons(hs => toggleIn(hs, h))} style={chipStyle(horizons.includes(h))}>{h}</button>
+          ))}
+        </span>
+      </div>
+
+      <ExportFrame name="model-fan-charts" kind="panel">
+        <div style={{ display: 'grid', gridTemplateColumns: `repeat(${Math.min(3, models.length)}, 1fr)`, gap: 12, marginBottom: 32 }}>
+          {panels.map(p => {
+            const active = selectedModel === p.model;
+            return (
+              <div
+                key={p.model}
+                onClick={() => setSelectedModel(active ? null : p.model)}
+                style={{
+                  padding: 12, background: active ? theme.accentLight : theme.backgroundAlt, borderRadius: 8, cursor: 'pointer',
+                  border: `${active ? 2 : 1}px solid ${active ? theme.accent : theme.border}`,
+                  opacity: selectedModel && !active ? 0.45 : 1, transition: 'opacity 0.15s',
+                }}
+              >
+                <div style={{ fontSize: 13, fontWeight: 600, color: active ? theme.accent : theme.text, marginBottom: 4 }}>{p.model}</div>
+                {p.forecasts.length > 0 ? (
+                  <FanChart series={series} forecasts={p.forecasts} height={180} compact highlight={active} yDomain={[0, yMax]} />
+                ) : (
+                  <div style={{ height: 180, display: 'flex', alignItems: 'center', justifyContent: 'center', fontSize: 12, color: theme.textMuted }}>
+                    No forecast for this location and date
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </ExportFrame>
+
+      <h3 style={{ fontSize: 16, fontWeight: 600, color: theme.text, marginBottom: 8, fontFamily: "'IBM Plex Sans', sans-serif" }}>Scores across all loaded forecasts</h3>
+      <p style={{ fontSize: 14, color: theme.textSecondary, marginBottom: 16 }}>
+        Means over every location, date and horizon each model submitted. Relative WIS compares models only on shared tasks
+        {baseline ? <> and is scaled so that <strong>{baseline}</strong> = 1.</> : '; load or generate a baseline to scale it.'}
+        {' '}Click a column header to sort.
+      </p>
+      <ScoreTable
+        sortable
+        rows={table}
+        exportAs="model-comparison"
+        exportRows={table.map(({ relative_wis, ...row }) => row)}
+        onRowClick={row => setSelectedModel(m => (m === row.model ? null : row.model))}
+        isSelected={row => row.model === selectedModel}
+        columns={[
+          { key: 'model', label: 'Model', align: 'left' },
+          { key: 'n', label: 'Forecasts' },
+          { key: 'wis', label: 'Mean WIS', format: fmtScore },
+          { key: 'relative_wis', label: 'Relative WIS', format: v => v?.toFixed(2) ?? '—' },
+          { key: 'interval_coverage_50', label: '50% cov.', format: fmtPercent },
+          { key: 'interval_coverage_95', label: '95% cov.', format: fmtPercent },
+          { key: 'bias', label: 'Bias', render: r => <span style={{ color: biasColor(r.bias) }}>{fmtBias(r.bias)}</span> },
+        ]}
+      />
+
+      <Callout type="info" title="Reading the comparison">
+        A model can have the lowest mean WIS simply because it skipped the hardest weeks or locations. Relative WIS avoids this by 
+        comparing each pair of models only where both forecast, which is why the two columns can rank models differently.
+      </Callout>
+    </div>
+  );
+};
+
+// ========== SCORE BREAKDOWN ==========
+const GROUP_OPTIONS = [
+  { key: 'model', label: 'Model' },
+  { key: 'location', label: 'Location' },
+  { key: 'horizon', label: 'Horizon' },
+  { key: 'target_end_date', label: 'Target end date', align: 'left' },
+  { key: 'season', label: 'Season', align: 'left' },
+];
+const MODEL_COLORS = [theme.accent, theme.status.caution, theme.status.highlight, theme.primary, theme.intervals.pi50, theme.status.miss];
+
+// Heatmap fill: amber below the nominal level, blue above, stronger the further off
+const coverageColor = (coverage, nominal) => {
+  if (coverage === null || coverage === undefined) return theme.border;
+  const d = coverage - nominal;
+  const alpha = 0.1 + 0.8 * Math.min(1, Math.abs(d) / 0.3);
+  return d < 0 ? `rgba(245, 158, 11, ${alpha.toFixed(2)})` : `rgba(37, 99, 235, ${alpha.toFixed(2)})`;
+};
+
+// Mean WIS of each model at each horizon, as grouped bars
+const WISByHorizonChart = ({ scores, height = 260 }) => {
+  const models = [...new Set(scores.map(s => s.model))].sort();
+  const byHorizon = new Map();
+  aggregateScores(scores, ['horizon', 'model'], { columns: ['wis'], medians: [] }).forEach(r => {
+    if (!byHorizon.has(r.horizon)) byHorizon.set(r.horizon, { horizon: r.horizon });
+    byHorizon.get(r.horizon)[r.model] = r.wis;
+  });
+  const tick = { fontSize: 11, fill: theme.textMuted, fontFamily: "'IBM Plex Sans', sans-serif" };
+
+  return (
+    <ResponsiveContainer width="100%" height={height}>
+      <BarChart data={[...byHorizon.values()]} margin={{ top: 10, right: 20, left: 10, bottom: 10 }}>
+        <XAxis dataKey="horizon" tickFormatter={h => `${h} wk`} tick={tick} axisLine={{ stroke: theme.border }} tickLine={false} />
+        <YAxis tick={tick} axisLine={false} tickLine={false} tickFormatter={v => v.toLocaleString()} />
+        {models.map((m, i) => (
+          <Bar key={m} dataKey={m} fill={MODEL_COLORS[i % MODEL_COLORS.length]} radius={[3, 3, 0, 0]} isAnimationActive={false} />
+        ))}
+        <Tooltip formatter={(v, name) => [fmtScore(v), name]} labelFormatter={h => `Horizon ${h}`} contentStyle={{ borderRadius: 4, border: `1px solid ${theme.border}`, fontFamily: "'IBM Plex Sans', sans-serif" }} />
+        <Legend wrapperStyle={{ fontSize: 12, fontFamily: "'IBM Plex Sans', sans-serif" }} />
+      </BarChart>
+    </ResponsiveContainer>
+  );
+};
+
+// Location x horizon coverage for one model, drawn as equal stacked bars so each cell is one segment
+const CoverageHeatmap = ({ scores, level }) => {
+  const column = `interval_coverage_${Math.round(level * 100)}`;
+  const horizons = [...new Set(scores.map(s => s.horizon))].sort((a, b) => a - b);
+  const rows = aggregateScores(scores, ['location'], { columns: [], medians: [] }).map(({ location }) => {
+    const row = { location };
+    aggregateScores(scores.filter(s => s.location === location), ['horizon'], { columns: [column], medians: [] }).forEach(h => {
+      row[`h${h.horizon}`] = 1;
+      row[`cov${h.horizon}`] = h[column];
+    });
+    return row;
+  });
+  const tick = { fontSize: 11, fill: theme.textMuted, fontFamily: "'IBM Plex Sans', sans-serif" };
+
+  return (
+    <ResponsiveContainer width="100%" height={Math.max(120, rows.length * 28 + 40)}>
+      <BarChart data={rows} layout="vertical" margin={{ top: 10, right: 20, left: 10, bottom: 10 }} barCategoryGap={2}>
+        <XAxis
+          type="number" domain={[0, horizons.length]} ticks={horizons.map((_, i) => i + 0.5)} orientation="top"
+          tickFormatter={v => `Horizon ${horizons[Math.floor(v)]}`} tick={tick} axisLine={false} tickLine={false}
+        />
+        <YAxis type="category" dataKey="location" width={60} tick={tick} axisLine={false} tickLine={false} />
+        {horizons.map(h => (
+          <Bar key={h} dataKey={`h${h}`} stackId="cells" isAnimationActive={false}>
+            {rows.map(r => <Cell key={r.location} fill={coverageColor(r[`cov${h}`], level)} stroke="white" strokeWidth={2} />)}
+            <LabelList dataKey={`cov${h}`} position="center" formatter={fmtPercent} style={{ fontSize: 11, fill: theme.text }} />
+          </Bar>
+        ))}
+      </BarChart>
+    </ResponsiveContainer>
+  );
+};
+
+const BreakdownModule = ({ scores = [] }) => {
+  const [by, setBy] = useUrlState('by', ['model', 'horizon'], { options: GROUP_OPTIONS.map(o => o.key) });
+  const [heatModel, setHeatModel] = useState(null);
+  const [heatLevel, setHeatLevel] = useUrlState('level', 0.95, { options: [0.5, 0.95] });
+
+  const quantileScores = scores.filter(s => s.output_type === 'quantile');
+  const models = [...new Set(quantileScores.map(s => s.model))].sort();
+  const activeHeatModel = models.includes(heatModel) ? heatModel : (models.find(m => !/baseline/i.test(m)) || models[0]);
+
+  const table = useMemo(() => aggregateScores(quantileScores, by), [scores, by.join()]);
+
+  const toggleGroup = (key) => setBy(list => (list.includes(key)
+    ? list.filter(k => k !== key)
+    : GROUP_OPTIONS.map(o => o.key).filter(k => k === key || list.includes(k))));
+
+  if (quantileScores.length === 0) {
+    return (
+      <div>
+        <p style={{ fontSize: 16, lineHeight: 1.8, color: theme.text, marginBottom: 24 }}>
+          WIS grows with the size of the target and the forecast horizon, so averages are only comparable within a target, horizon and period. 
+          This view breaks scores down along those lines.
+        </p>
+        <div style={{ padding: 16, background: theme.backgroundAlt, borderRadius: 6, fontSize: 14, color: theme.textMuted }}>
+          Load forecasts and target data on the <strong>Evaluate your forecasts</strong> tab to break their scores down here.
+        </div>
+      </div>
+    );
+  }
+
+  const selectStyle = { marginLeft: 6, padding: '4px 8px', fontSize: 13, borderRadius: 4, border: `1px solid ${theme.border}`, fontFamily: "'IBM Plex Sans', sans-serif" };
+
+  return (
+    <div>
+      <p style={{ fontSize: 16, lineHeight: 1.8, color: theme.text, marginBottom: 24 }}>
+        WIS grows with the size of the target and the forecast horizon, so averages are only comparable within a target, horizon and period. 
+        Group the loaded scores any way you like to make those comparisons explicit.
+      </p>
+
+      {/* WIS by horizon */}
+      <div style={{ background: theme.backgroundAlt, borderRadius: 8, padding: 24, marginBottom: 24 }}>
+        <h3 style={{ margin: '0 0 16px 0', fontSize: 15, fontWeight: 600, color: theme.text, fontFamily: "'IBM Plex Sans', sans-serif" }}>
+          Mean WIS by horizon
+        </h3>
+        <ExportFrame name="wis-by-horizon">
+          <WISByHorizonChart scores={quantileScores} />
+        </ExportFrame>
+      </div>
+
+      {/* Coverage by location and horizon */}
+      <div style={{ background: theme.backgroundAlt, borderRadius: 8, padding: 24, marginBottom: 24 }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 12, marginBottom: 16 }}>
+          <h3 style={{ margin: 0, fontSize: 15, fontWeight: 600, color: theme.text, fontFamily: "'IBM Plex Sans', sans-serif" }}>
+            Coverage by location
+          </h3>
+          <div style={{ display: 'flex', gap: 16, fontSize: 13, color: theme.textSecondary }}>
+            <label>Model<select value={activeHeatModel} onChange={e => setHeatModel(e.target.value)} style={selectStyle}>{models.map(m => <option key={m}>{m}</option>)}</select></label>
+            <span style={{ display: 'flex', gap: 4, alignItems: 'center' }}>
+              {[0.5, 0.95].map(l => (
+                <button key={l} onClick={() => setHeatLevel(l)} style={chipStyle(heatLevel === l)}>{fmtPercent(l)} PI</button>
+              ))}
+            </span>
+          </div>
+        </div>
+        <ExportFrame name="coverage-heatmap">
+          <CoverageHeatmap scores={quantileScores.filter(s => s.model === activeHeatModel)} level={heatLevel} />
+        </ExportFrame>
+        <div style={{ display: 'flex', justifyContent: 'center', gap: 24, marginTop: 12, fontSize: 12, color: theme.textMuted }}>
+          <span style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+            <span style={{ width: 12, height: 12, borderRadius: 2, background: coverageColor(heatLevel - 0.3, heatLevel) }}></span> Below {fmtPercent(heatLevel)}
+          </span>
+          <span style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+            <span style={{ width: 12, height: 12, borderRadius: 2, background: coverageColor(heatLevel, heatLevel) }}></span> Near nominal
+          </span>
+          <span style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+            <span style={{ width: 12, height: 12, borderRadius: 2, background: coverageColor(heatLevel + 0.3, heatLevel) }}></span> Above
+          </span>
+        </div>
+      </div>
+
+      {/* Aggregated table */}
+      <h3 style={{ fontSize: 16, fontWeight: 600, color: theme.text, marginBottom: 12, fontFamily: "'IBM Plex Sans', sans-serif" }}>Aggregated scores</h3>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: 4, alignItems: 'center', marginBottom: 16, fontSize: 13, color: theme.textSecondary }}>
+        <span style={{ marginRight: 4 }}>Group by</span>
+        {GROUP_OPTIONS.map(o => (
+          <button key={o.key} onClick={() => toggleGroup(o.key)} style={chipStyle(by.includes(o.key))}>{o.label}</button>
+        ))}
+      </div>
+      <ScoreTable
+        sortable
+        rows={table}
+        exportAs={`scores-by-${by.join('-') || 'all'}`}
+        columns={[
+          ...GROUP_OPTIONS.filter(o => by.includes(o.key)).map(o => ({ key: o.key, label: o.label, align: o.align || (o.key === 'horizon' ? 'right' : 'left') })),
+          { key: 'n', label: 'Forecasts' },
+          { key: 'wis', label: 'Mean WIS', format: fmtScore },
+          { key: 'wis_median', label: 'Median WIS', format: fmtScore },
+          { key: 'interval_coverage_50', label: '50% cov.', format: fmtPercent },
+          { key: 'interval_coverage_95', label: '95% cov.', format: fmtPercent },
+          { key: 'bias', label: 'Bias', render: r => <span style={{ color: biasColor(r.bias) }}>{fmtBias(r.bias)}</span> },
+        ]}
+      />
+
+      <Callout type="info" title="Mean or median?">
+        Mean WIS is dominated by the largest locations and the weeks around the peak. The median is less sensitive to those, 
+        so a large gap between the two usually means a handful of forecasts account for most of the total.
+      </Callout>
+    </div>
+  );
+};
+
+// ========== RATE TRENDS ==========
+const categoryLabel = (category) => category.replace('_', ' ').replace(/^./, c => c.toUpperCase());
+
+// Mean forecast probability of each category next to the share of forecasts
+// whose observed change fell in it. forecasts: rate-change pmf forecasts with observed attached.
+const categoryDistribution = (forecasts) => RATE_CHANGE_CATEGORIES.map(category => ({
+  category: categoryLabel(category),
+  predicted: forecasts.reduce((sum, f) => sum + (f.pmf.find(p => p.category === category)?.probability ?? 0), 0) / forecasts.length,
+  observed: forecasts.filter(f => f.observed === category).length / forecasts.length,
+}));
+
+const CategoryChart = ({ rows, height = 260 }) => {
+  const tick = { fontSize: 11, fill: theme.textMuted, fontFamily: "'IBM Plex Sans', sans-serif" };
+  return (
+    <ResponsiveContainer width="100%" height={height}>
+      <BarChart data={rows} margin={{ top: 10, right: 20, left: 10, bottom: 10 }}>
+        <XAxis dataKey="category" tick={tick} axisLine={{ stroke: theme.border }} tickLine={false} />
+        <YAxis tick={tick} axisLine={false} tickLine={false} tickFormatter={fmtPercent} domain={[0, 'auto']} />
+        <Bar dataKey="predicted" name="Predicted (mean probability)" fill={theme.accent} radius={[3, 3, 0, 0]} isAnimationActive={false} />
+        <Bar dataKey="observed" name="Observed (share of forecasts)" fill={theme.primary} radius={[3, 3, 0, 0]} isAnimationActive={false} />
+        <Tooltip formatter={(v, name) => [fmtPercent(v), name]} contentStyle={{ borderRadius: 4, border: `1px solid ${theme.border}`, fontFamily: "'IBM Plex Sans', sans-serif" }} />
+        <Legend wrapperStyle={{ fontSize: 12, fontFamily: "'IBM Plex Sans', sans-serif" }} />
+      </BarChart>
+    </ResponsiveContainer>
+  );
+};
+
+// Worked example for the explanation: a forecast leaning towards "stable" when the rate went up
+const EXAMPLE_TREND_PMF = [0.05, 0.15, 0.5, 0.25, 0.05].map((probability, i) => ({ category: RATE_CHANGE_CATEGORIES[i], probability }));
+
+const TrendModule = ({ forecasts = [], scores = [] }) => {
+  const [choice, setChoice] = useState(null);
+  const [horizons, setHorizons] = useUrlState('h', [0, 1, 2, 3], { options: [0, 1, 2, 3], nonEmpty: true });
+
+  const trendScores = useMemo(() => scores.filter(s => s.rps !== undefined), [scores]);
+  const models = [...new Set(forecasts.map(f => f.model))].sort();
+  const model = models.includes(choice) ? choice : models[0];
+  const shown = forecasts.filter(f => f.model === model && horizons.includes(f.horizon));
+  const table = useMemo(
+    () => aggregateScores(trendScores, ['model'], { columns: ['rps', 'log_score'], medians: [] }).sort((a, b) => a.rps - b.rps),
+    [trendScores]
+  );
+  const exampleRPS = rankedProbabilityScore('increase', EXAMPLE_TREND_PMF, RATE_CHANGE_CATEGORIES);
+  const exampleLog = logScorePmf('increase', EXAMPLE_TREND_PMF);
+
+  const selectStyle = { marginLeft: 6, padding: '4px 8px', fontSize: 13, borderRadius: 4, border: `1px solid ${theme.border}`, fontFamily: "'IBM Plex Sans', sans-serif" };
+
+  return (
+    <div>
+      <p style={{ fontSize: 16, lineHeight: 1.8, color: theme.text, marginBottom: 24 }}>
+        Besides admission counts, FluSight asks for the <strong>direction of change</strong>: a probability for each of five
+        categories, from large decrease to large increase, of how the weekly rate per 100,000 moves between the week before the
+        reference date and the target week. Further horizons need bigger moves to count as a change.
+      </p>
+
+      <ScoreTable
+        rows={Object.entries(RATE_CHANGE_THRESHOLDS).map(([horizon, t]) => ({ horizon: Number(horizon), ...t }))}
+        columns={[
+          { key: 'horizon', label: 'Horizon', align: 'left', format: h => `${h} wk` },
+          { key: 'stable', label: 'Stable: change per 100k below', format: v => `±${v}` },
+          { key: 'large', label: 'Large: change per 100k of at least', format: v => `±${v}` },
+        ]}
+      />
+      <p style={{ fontSize: 13, color: theme.textMuted, marginTop: 8 }}>
+        Changes of fewer than {RATE_CHANGE_MIN_COUNT} admissions are stable whatever the rate. Observed categories come from
+        oracle-output target data when it has them, otherwise from the counts and bundled state populations.
+      </p>
+
+      {forecasts.length === 0 ? (
+        <div style={{ padding: 16, marginTop: 24, background: theme.backgroundAlt, borderRadius: 6, fontSize: 14, color: theme.textMuted }}>
+          Load <strong>pmf</strong> forecasts of a rate-change target (e.g. <code>wk flu hosp rate change</code>) with target data
+          on the <strong>Evaluate your forecasts</strong> tab to score them here.
+        </div>
+      ) : (
+        <>
+          <div style={{ background: theme.backgroundAlt, borderRadius: 8, padding: 24, marginTop: 24, marginBottom: 24 }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 12, marginBottom: 16 }}>
+              <h3 style={{ margin: 0, fontSize: 15, fontWeight: 600, color: theme.text, fontFamily: "'IBM Plex Sans', sans-serif" }}>
+                Predicted vs observed categories
+              </h3>
+              <div style={{ display: 'flex', gap: 16, fontSize: 13, color: theme.textSecondary }}>
+                {models.length > 1 && (
+                  <label>Model<select value={model} onChange={e => setChoice(e.target.value)} style={selectStyle}>{models.map(m => <option key={m}>{m}</option>)}</select></label>
+                )}
+                <span style={{ display: 'flex', gap: 4, alignItems: 'center' }}>
+                  Horizons
+                  {[0, 1, 2, 3].map(h => (
+                    <button key={h} onClick={() => setHorizons(hs => toggleIn(hs, h))} style={chipStyle(horizons.includes(h))}>{h}</button>
+                  ))}
+                </span>
+              </div>
+            </div>
+            {shown.length > 0 ? (
+              <ExportFrame name="rate-change-categories">
+                <CategoryChart rows={categoryDistribution(shown)} />
+              </ExportFrame>
+            ) : (
+              <div style={{ fontSize: 14, color: theme.textMuted }}>No scored forecasts from {model} at these horizons.</div>
+            )}
+            <div style={{ marginTop: 8, fontSize: 13, color: theme.textSecondary, textAlign: 'center' }}>
+              A calibrated model's bars match: over {shown.length.toLocaleString()} forecasts, categories it gives 20% should happen about 20% of the time.
+            </div>
+          </div>
+
+          <h3 style={{ fontSize: 16, fontWeight: 600, color: theme.text, marginBottom: 12, fontFamily: "'IBM Plex Sans', sans-serif" }}>Scores by model</h3>
+          <ScoreTable
+            sortable
+            rows={table}
+            exportAs="rate-change-scores"
+            exportRows={trendScores}
+            columns={[
+              { key: 'model', label: 'Model', align: 'left' },
+              { key: 'n', label: 'Forecasts' },
+              { key: 'rps', label: 'RPS', format: fmtScore },
+              { key: 'log_score', label: 'Log score', format: fmtScore },
+            ]}
+          />
+        </>
+      )}
+
+      <Callout type="info" title="RPS or log score?">
+        The ranked probability score compares cumulative probabilities across the ordered categories, so probability placed
+        next to the observed category is penalised less than probability two categories away. The log score only looks at the
+        observed category. A forecast giving 50% to stable and 25% to increase scores an RPS of {exampleRPS.toFixed(3)} and a
+        log score of {exampleLog.toFixed(2)} when the rate increases. Lower is better for both.
+      </Callout>
+
+      <Collapsible title="Technical details: Ranked probability score">
+        <p>
+          With categories ordered from large decrease to large increase, F(k) the forecast probability of category k or lower
+          and O(k) the same for the observation (0 below the observed category, 1 from it on):
+        </p>
+        <p style={{ marginTop: 12 }}><code>RPS = Σₖ (F(k) − O(k))²</code></p>
+        <p style={{ marginTop: 12 }}>
+          This is scoringutils' <code>rps_ordinal</code>, not divided by the number of categories minus one, so it runs from 0
+          (all probability on the observed category) to 4. The log score is −ln p(observed category); a zero probability on
+          the observed category scores infinity.
+        </p>
+      </Collapsible>
+    </div>
+  );
+};
+
+// ========== REPORT ==========
+const horizonLabel = (h) => (h === 0 ? 'for the current week' : `${h} week${h === 1 ? '' : 's'} ahead`);
+
+// Findings for the evaluation report, most important first: [{ type, title, text }] for Callout.
+// board: modelLeaderboard rows sorted best first; recent: the same for the latest reference dates.
+const reportFindings = (scores, board, recent, baseline) => {
+  const findings = [];
+  const best = board[0];
+  if (best && best.relative_wis !== null) {
+    findings.push({
+      type: 'success',
+      title: 'Best performing model',
+      text: baseline && best.model !== baseline
+        ? `${best.model} had the lowest relative WIS (${best.relative_wis.toFixed(2)}): on the forecasts both made, its WIS was ${fmtPercent(1 - best.relative_wis)} lower than ${baseline}'s.`
+        : `${best.model} had the lowest relative WIS (${best.relative_wis.toFixed(2)}) across ${best.n.toLocaleString()} forecasts.`,
+    });
+  }
+
+  const behind = baseline ? board.filter(r => r.model !== baseline && r.relative_wis > 1) : [];
+  if (behind.length > 0) {
+    findings.push({
+      type: 'warning',
+      title: `Models behind ${baseline}`,
+      text: `${behind.map(r => `${r.model} (${r.relative_wis.toFixed(2)})`).join(', ')} scored worse than the baseline.`,
+    });
+  }
+
+  if (recent && recent.length > 0 && best && recent[0].model !== best.model && recent[0].relative_wis !== null) {
+    findings.push({
+      type: 'info',
+      title: 'Recent weeks',
+      text: `Over the latest reference dates ${recent[0].model} led instead, with a relative WIS of ${recent[0].relative_wis.toFixed(2)}.`,
+    });
+  }
+
+  // A model is flagged when its hit rate is more than sampling noise away from nominal
+  const miscalibrated = board.flatMap(({ model }) => [0.5, 0.95].map(level => {
+    const hits = scores.filter(s => s.model === model).map(s => s[`interval_coverage_${level * 100}`]).filter(v => v !== null && v !== undefined);
+    const k = hits.reduce((a, b) => a + b, 0);
+    return hits.length > 0 && binomialTest(k, hits.length, level) < 0.05 ? { model, level, coverage: k / hits.length } : null;
+  })).filter(Boolean);
+  findings.push(miscalibrated.length === 0
+    ? { type: 'success', title: 'Coverage', text: "Every model's 50% and 95% interval coverage is within sampling noise of the nominal level." }
+    : {
+      type: 'warning',
+      title: 'Coverage',
+      text: `${[...new Set(miscalibrated.map(m => m.model))].map(model => `${model}'s ${miscalibrated.filter(m => m.model === model)
+        .map(m => `${fmtPercent(m.level)} intervals covered ${fmtPercent(m.coverage)} (${m.coverage < m.level ? 'too narrow' : 'too wide'})`)
+        .join(' and ')}`).join('; ')}.`,
+    });
+
+  const biased = board.filter(r => r.bias !== null && Math.abs(r.bias) >= 0.2);
+  if (biased.length > 0) {
+    findings.push({
+      type: 'info',
+      title: 'Bias',
+      text: `${biased.map(r => `${r.model} tended to ${r.bias > 0 ? 'overpredict' : 'underpredict'} (bias ${fmtBias(r.bias)})`).join('; ')}.`,
+    });
+  }
+
+  const byHorizon = aggregateScores(scores, ['horizon'], { columns: ['wis'], medians: [] });
+  if (byHorizon.length > 1 && byHorizon[0].wis > 0) {
+    const first = byHorizon[0];
+    const last = byHorizon[byHorizon.length - 1];
+    findings.push({
+      type: 'info',
+      title: 'Horizon',
+      text: `Mean WIS ${horizonLabel(last.horizon)} was ${(last.wis / first.wis).toFixed(1)} times that ${horizonLabel(first.horizon)}, so compare models within a horizon rather than across them.`,
+    });
+  }
+  return findings;
+};
+
+const REPORT_RECENT_DATES = 4;
+
+// Print-ready summary of the loaded forecasts. The print stylesheet in App drops the
+// page chrome and every .no-print control, so the browser can save it as a PDF.
+const ReportModule = ({ forecasts = [], truth = [], scores = [] }) => {
+  const [coverageModel, setCoverageModel] = useState(null);
+  const [level, setLevel] = useUrlState('level', 0.95, { options: [0.5, 0.95] });
+
+  const quantileScores = useMemo(() => scores.filter(s => s.output_type === 'quantile'), [scores]);
+  const models = [...new Set(quantileScores.map(s => s.model))].sort();
+  const baseline = models.find(m => /baseline/i.test(m));
+  const byRelativeWIS = (a, b) => (a.relative_wis ?? Infinity) - (b.relative_wis ?? Infinity);
+  const dates = [...new Set(quantileScores.map(s => s.reference_date))].sort();
+  const recentDates = dates.slice(-REPORT_RECENT_DATES);
+  const board = useMemo(() => modelLeaderboard(quantileScores, baseline).sort(byRelativeWIS), [quantileScores, baseline]);
+  const recent = useMemo(() => (dates.length > REPORT_RECENT_DATES
+    ? modelLeaderboard(quantileScores.filter(s => recentDates.includes(s.reference_date)), baseline).sort(byRelativeWIS)
+    : null), [quantileScores, baseline]);
+  const findings = useMemo(() => reportFindings(quantileScores, board, recent, baseline), [quantileScores, board, recent, baseline]);
+
+  const model = models.includes(coverageModel) ? coverageModel
+    : (models.find(m => /ensemble/i.test(m)) || models.find(m => m !== baseline) || models[0]);
+  const { rows, segments } = useMemo(
+    () => coverageTimeline(forecasts.filter(f => f.model === model), truth, { level, view: 'date' }),
+    [forecasts, truth, model, level]
+  );
+
+  if (quantileScores.length === 0) {
+    return (
+      <div>
+        <p style={{ fontSize: 16, lineHeight: 1.8, color: theme.text, marginBottom: 24 }}>
+          A one-page summary of the loaded forecasts for a weekly evaluation report: leaderboards, coverage over time, 
+          WIS by horizon and the main findings in plain language, ready to print or save as a PDF.
+        </p>
+        <div style={{ padding: 16, background: theme.backgroundAlt, borderRadius: 6, fontSize: 14, color: theme.textMuted }}>
+          Load forecasts and target data on the <strong>Evaluate your forecasts</strong> tab to build a report from them.
+        </div>
+      </div>
+    );
+  }
+
+  const locations = new Set(quantileScores.map(s => s.location)).size;
+  const sectionStyle = { marginBottom: 32 };
+  const headingStyle = { fontSize: 16, fontWeight: 600, color: theme.text, marginBottom: 12, fontFamily: "'IBM Plex Sans', sans-serif" };
+  const selectStyle = { marginLeft: 6, padding: '4px 8px', fontSize: 13, borderRadius: 4, border: `1px solid ${theme.border}`, fontFamily: "'IBM Plex Sans', sans-serif" };
+  const leaderboardColumns = [
+    { key: 'model', label: 'Model', align: 'left' },
+    { key: 'n', label: 'Forecasts' },
+    { key: 'wis', label: 'Mean WIS', format: fmtScore },
+    { key: 'relative_wis', label: 'Relative WIS', format: v => v?.toFixed(2) ?? '—' },
+    { key: 'interval_coverage_50', label: '50% cov.', format: fmtPercent },
+    { key: 'interval_coverage_95', label: '95% cov.', format: fmtPercent },
+    { key: 'bias', label: 'Bias', render: r => <span style={{ color: biasColor(r.bias) }}>{fmtBias(r.bias)}</span> },
+  ];
+  const withoutDisplay = (list) => list.map(({ relative_wis, ...row }) => row);
+
+  return (
+    <div>
+      <div className="no-print" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 16, marginBottom: 24 }}>
+        <p style={{ fontSize: 14, color: theme.textSecondary, margin: 0, lineHeight: 1.6 }}>
+          Printing leaves out the navigation and controls; choose <strong>Save as PDF</strong> in the print dialog for a file.
+        </p>
+        <button onClick={() => window.print()} style={{ ...chipStyle(true), padding: '8px 16px', whiteSpace: 'nowrap' }}>Print report</button>
+      </div>
+
+      <section className="report-section" style={{ ...sectionStyle, paddingBottom: 16, borderBottom: `2px solid ${theme.primary}` }}>
+        <h2 style={{ margin: '0 0 8px', fontSize: 22, fontWeight: 600, color: theme.primary, fontFamily: "'IBM Plex Sans', sans-serif" }}>
+          Forecast evaluation report
+        </h2>
+        <div style={{ fontSize: 13, color: theme.textSecondary, lineHeight: 1.6 }}>
+          {quantileScores.length.toLocaleString()} scored forecasts from {models.length} model{models.length === 1 ? '' : 's'} for {locations} location{locations === 1 ? '' : 's'}, 
+          reference dates {dates[0]} to {dates[dates.length - 1]}. Generated {new Date().toISOString().slice(0, 10)}.
+          {baseline ? <> Relative WIS is scaled so that <strong>{baseline}</strong> = 1.</> : ' No baseline is loaded, so relative WIS is unscaled.'}
+        </div>
+      </section>
+
+      <section className="report-section" style={sectionStyle}>
+        <h3 style={headingStyle}>Key findings</h3>
+        {findings.map(f => (
+          <Callout key={f.title} type={f.type} title={f.title}>{f.text}</Callout>
+        ))}
+      </section>
+
+      <section className="report-section" style={sectionStyle}>
+        <h3 style={headingStyle}>Leaderboard: all reference dates</h3>
+        <ScoreTable rows={board} columns={leaderboardColumns} exportAs="leaderboard" exportRows={withoutDisplay(board)} />
+      </section>
+
+      {recent && (
+        <section className="report-section" style={sectionStyle}>
+          <h3 style={headingStyle}>Leaderboard: last {REPORT_RECENT_DATES} reference dates ({recentDates[0]} to {recentDates[recentDates.length - 1]})</h3>
+          <ScoreTable rows={recent} columns={leaderboardColumns} exportAs="leaderboard-recent" exportRows={withoutDisplay(recent)} />
+        </section>
+      )}
+
+      <section className="report-section" style={sectionStyle}>
+        <h3 style={headingStyle}>Mean WIS by horizon</h3>
+        <ExportFrame name="report-wis-by-horizon">
+          <WISByHorizonChart scores={quantileScores} height={240} />
+        </ExportFrame>
+      </section>
+
+      <section className="report-section" style={sectionStyle}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 12, marginBottom: 12 }}>
+          <h3 style={{ ...headingStyle, margin: 0 }}>{fmtPercent(level)} coverage over time: {model}, all horizons</h3>
+          <div className="no-print" style={{ display: 'flex', gap: 16, fontSize: 13, color: theme.textSecondary }}>
+            <label>Model<select value={model} onChange={e => setCoverageModel(e.target.value)} style={selectStyle}>{models.map(m => <option key={m}>{m}</option>)}</select></label>
+            <span style={{ display: 'flex', gap: 4, alignItems: 'center' }}>
+              {[0.5, 0.95].map(l => <button key={l} onClick={() => setLevel(l)} style={chipStyle(level === l)}>{fmtPercent(l)}</button>)}
+            </span>
+          </div>
+        </div>
+        <ExportFrame name="report-coverage-over-time">
+          <CoverageOverTimeChart rows={rows} segments={segments} level={level} view="date" />
+        </ExportFrame>
+        <PhaseLegend />
+      </section>
+    </div>
+  );
+};
+
 // ========== MAIN APP ==========
 export default function App() {
-  const [activeTab, setActiveTab] = useState('overview');
+  const [route, setRoute] = useState(() => parseHash(window.location.hash));
+  const [forecasts, setForecasts] = useState([]);
+  const [truth, setTruth] = useState([]);
+  const [includeBaseline, setIncludeBaseline] = useState(false);
+  const [ensembles, setEnsembles] = useState([]);
+  const [sampleLevels, setSampleLevels] = useState(SAMPLE_INTERVAL_LEVELS);
+  const [scale, setScale] = useState('natural');
+
+  // Back/forward and hand-edited URLs update the page
+  useEffect(() => {
+    const sync = () => setRoute(parseHash(window.location.hash));
+    window.addEventListener('popstate', sync);
+    window.addEventListener('hashchange', sync);
+    return () => {
+      window.removeEventListener('popstate', sync);
+      window.removeEventListener('hashchange', sync);
+    };
+  }, []);
+
+  const activeTab = TABS.some(t => t.id === route.tab) ? route.tab : 'overview';
+  // Switching tabs is a history entry; moving a slider only rewrites the current one
+  const setActiveTab = (tab) => {
+    const next = { tab, params: {} };
+    navigateHash(formatHash(next));
+    setRoute(next);
+  };
+  const setParam = (key, value) => setRoute(r => {
+    const params = { ...r.params };
+    if (value === null) delete params[key];
+    else params[key] = value;
+    return { tab: activeTab, params };
+  });
+  useEffect(() => {
+    if (route.tab && formatHash(route) !== window.location.hash) navigateHash(formatHash(route), { replace: true });
+  }, [route]);
+  const urlState = useMemo(() => ({ params: route.params, setParam }), [route]);
+
+  // Loaded forecasts joined to the target data and scored once, for every tab that needs them
+  // Sample forecasts are summarized as quantiles first, so they reach every chart and score.
+  // Models are built on the natural scale; everything is then moved to the scoring scale.
+  const evaluation = useMemo(() => {
+    const loaded = [...forecasts, ...sampleQuantileForecasts(forecasts, { levels: sampleLevels })];
+    const members = includeBaseline ? [...loaded, ...baselineForecasts(loaded, truth)] : loaded;
+    const scaledTruth = transformTruth(truth, scale, { populations: LOCATION_POPULATIONS });
+    const toScale = (fs) => transformForecasts(fs, scale, { populations: LOCATION_POPULATIONS });
+    // Weighted ensembles take their weights from the members' own past scores
+    const memberScores = ensembles.some(e => e.method === 'weighted')
+      ? scoreForecasts(joinTargetData(toScale(members).forecasts, scaledTruth).matched).scores
+      : [];
+    const scaled = toScale([...members, ...ensembles.flatMap(e => quantileEnsemble(members, { ...e, scores: memberScores }))]);
+    // Rate-change categories come from the counts themselves, whatever the scoring scale
+    const { matched, unmatched } = joinTargetData(scaled.forecasts.filter(f => !isRateChangeForecast(f)), scaledTruth);
+    const trends = joinRateChanges(scaled.forecasts.filter(isRateChangeForecast), truth, { populations: LOCATION_POPULATIONS });
+    const result = scoreForecasts([...matched, ...trends.matched]);
+    return {
+      ...result,
+      skipped: [...scaled.skipped, ...result.skipped],
+      forecasts: scaled.forecasts,
+      truth: scaledTruth,
+      quantileForecasts: result.scored.filter(f => f.output_type === 'quantile'),
+      unmatched: truth.length > 0 ? [...unmatched, ...trends.unmatched] : [],
+    };
+  }, [forecasts, truth, includeBaseline, ensembles, sampleLevels, scale]);
 
   return (
     <div style={{ 
@@ -946,9 +3447,19 @@ export default function App() {
       fontFamily: "'IBM Plex Sans', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif", 
       color: theme.text 
     }}>
-      {/* Google Fonts link for IBM Plex */}
+      {/* IBM Plex is inlined by scripts/build.mjs, so the page loads nothing from the network */}
       <style>{`
-        @import url('https://fonts.googleapis.com/css2?family=IBM+Plex+Sans:wght@400;500;600;700&family=IBM+Plex+Mono:wght@400;500&display=swap');
+        /* Printing (the Report tab): no page chrome or controls, charts scaled to the page */
+        @media print {
+          @page { margin: 16mm; }
+          body { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+          header, footer, .no-print { display: none !important; }
+          main { max-width: none !important; padding: 0 !important; }
+          .report-section { break-inside: avoid; }
+          .recharts-wrapper, .recharts-surface { width: 100% !important; height: auto !important; }
+          .recharts-legend-wrapper { position: static !important; width: auto !important; }
+          .recharts-tooltip-wrapper { display: none !important; }
+        }
       `}</style>
       
       {/* Header with wave decoration */}
@@ -987,11 +3498,36 @@ export default function App() {
       {/* Main */}
       <main style={{ maxWidth: 960, margin: '0 auto', padding: '0 32px 64px' }}>
         <TabNav active={activeTab} setActive={setActiveTab} />
-        
-        {activeTab === 'overview' && <Overview />}
-        {activeTab === 'intervals' && <IntervalsModule />}
-        {activeTab === 'wis' && <WISModule />}
-        {activeTab === 'coverage' && <CoverageModule />}
+        <UrlStateContext.Provider value={urlState}>
+          {scale !== 'natural' && forecasts.length > 0 && SCALED_TABS.includes(activeTab) && (
+            <Callout type="info">
+              Scores and forecast charts are on the <strong>{SCORING_SCALES[scale]}</strong> scale, chosen on the Evaluate your forecasts tab.
+            </Callout>
+          )}
+          {activeTab === 'overview' && <Overview />}
+          {activeTab === 'intervals' && (
+            <IntervalsModule
+              forecasts={evaluation.quantileForecasts} truth={evaluation.truth}
+              samples={evaluation.forecasts.filter(f => f.output_type === 'sample')}
+            />
+          )}
+          {activeTab === 'wis' && <WISModule scores={evaluation.scores} />}
+          {activeTab === 'coverage' && <CoverageModule forecasts={evaluation.quantileForecasts} truth={evaluation.truth} />}
+          {activeTab === 'simulation' && <SimulationModule />}
+          {activeTab === 'diagnostics' && <DiagnosticsModule forecasts={evaluation.quantileForecasts} />}
+          {activeTab === 'evaluate' && (
+            <EvaluateModule
+              forecasts={forecasts} setForecasts={setForecasts} truth={truth} setTruth={setTruth}
+              includeBaseline={includeBaseline} setIncludeBaseline={setIncludeBaseline}
+              ensembles={ensembles} setEnsembles={setEnsembles} evaluation={evaluation}
+              sampleLevels={sampleLevels} setSampleLevels={setSampleLevels} scale={scale} setScale={setScale}
+            />
+          )}
+          {activeTab === 'compare' && <CompareModule forecasts={evaluation.quantileForecasts} truth={evaluation.truth} scores={evaluation.scores} />}
+          {activeTab === 'breakdown' && <BreakdownModule scores={evaluation.scores} />}
+          {activeTab === 'trends' && <TrendModule forecasts={evaluation.scored.filter(isRateChangeForecast)} scores={evaluation.scores} />}
+          {activeTab === 'report' && <ReportModule forecasts={evaluation.quantileForecasts} truth={evaluation.truth} scores={evaluation.scores} />}
+        </UrlStateContext.Provider>
       </main>
 
       {/* Footer with wave decoration */}
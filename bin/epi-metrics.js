@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+// Command-line scoring for scheduled jobs, using the same metrics/ and data/
+// code as the web page so both report the same numbers:
+//   epi-metrics score --forecasts model-output/ --truth target-data.csv --by model,horizon
+import { readFile, readdir, stat, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import {
+  TASK_COLUMNS, SCORE_COLUMNS, SCORING_SCALES, exportColumns, scoreForecasts, aggregateScores, transformForecasts, transformTruth,
+  isRateChangeForecast, joinRateChanges,
+} from '../metrics/index.js';
+import {
+  parseCSV, formatCSV, parseModelOutput, parseTargetData, joinTargetData, modelFromFilename, LOCATION_POPULATIONS,
+} from '../data/index.js';
+import { baselineForecasts, SAMPLE_INTERVAL_LEVELS, sampleQuantileForecasts } from '../models/index.js';
+
+// Columns --by accepts: the task columns of a score row plus the derived season
+const GROUP_COLUMNS = [...TASK_COLUMNS, 'season'];
+
+const USAGE = `Usage: epi-metrics score --forecasts <file or directory> --truth <file> [options]
+
+Scores Hubverse model-output CSVs against target data, as the "Evaluate your
+forecasts" tab does, and writes the score table as CSV or JSON.
+
+Options:
+  --forecasts <path>   model-output CSV, or a directory searched for them; repeatable
+  --truth <file>       target-data CSV (time-series or oracle-output form)
+  --by <columns>       comma-separated columns to average scores over, from
+                       ${GROUP_COLUMNS.join(', ')};
+                       one row per forecast when left out; when several output
+                       types are scored, output_type is added so each is averaged alone
+  --baseline           also score a FluSight-style flat baseline built from the truth
+  --sample-levels <l>  comma-separated central interval levels sample forecasts are
+                       summarized at for WIS and coverage (default: ${SAMPLE_INTERVAL_LEVELS.join(',')})
+  --scale <scale>      score on the natural scale (default), log (log(x + 1)) or
+                       per100k (per 100,000 residents; US states and the nation)
+  --format <csv|json>  output format (default: from --out's extension, else csv)
+  --out <file>         write to a file instead of standard output
+  -h, --help           show this help
+`;
+
+// Every CSV under a path; Parquet files are counted so they can be reported
+const findFiles = async (target) => {
+  const info = await stat(target).catch(() => {
+    throw new Error(`${target}: no such file or directory`);
+  });
+  if (!info.isDirectory()) return { csv: [target], other: [] };
+  const entries = (await readdir(target, { withFileTypes: true })).sort((a, b) => a.name.localeCompare(b.name));
+  const found = await Promise.all(entries.map(entry => {
+    const file = path.join(target, entry.name);
+    if (entry.isDirectory()) return findFiles(file);
+    if (/\.csv$/i.test(entry.name)) return { csv: [file], other: [] };
+    return { csv: [], other: /\.parquet$/i.test(entry.name) ? [file] : [] };
+  }));
+  return { csv: found.flatMap(f => f.csv), other: found.flatMap(f => f.other) };
+};
+
+const readCSVFile = async (file, parse) => {
+  try {
+    return parse(parseCSV(await readFile(file, 'utf8')));
+  } catch (err) {
+    throw new Error(`${file}: ${err.message}`);
+  }
+};
+
+const warn = (message) => process.stderr.write(`epi-metrics: ${message}\n`);
+
+const score = async (args) => {
+  const { values } = parseArgs({
+    args,
+    options: {
+      forecasts: { type: 'string', multiple: true },
+      truth: { type: 'string' },
+      by: { type: 'string' },
+      baseline: { type: 'boolean', default: false },
+      'sample-levels': { type: 'string' },
+      scale: { type: 'string', default: 'natural' },
+      format: { type: 'string' },
+      out: { type: 'string' },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return;
+  }
+  if (!values.forecasts || !values.truth) throw new Error('--forecasts and --truth are required');
+
+  const by = values.by ? values.by.split(',').map(c => c.trim()).filter(Boolean) : [];
+  const unknown = by.filter(c => !GROUP_COLUMNS.includes(c));
+  if (unknown.length > 0) throw new Error(`cannot group by ${unknown.join(', ')}; choose from ${GROUP_COLUMNS.join(', ')}`);
+  const sampleLevels = values['sample-levels']
+    ? values['sample-levels'].split(',').map(Number)
+    : SAMPLE_INTERVAL_LEVELS;
+  if (sampleLevels.some(l => !(l > 0 && l < 1))) throw new Error('--sample-levels must be numbers between 0 and 1, e.g. 0.5,0.8,0.95');
+  if (!SCORING_SCALES[values.scale]) throw new Error(`unknown scale "${values.scale}"; use ${Object.keys(SCORING_SCALES).join(', ')}`);
+  const format = values.format || (values.out && /\.json$/i.test(values.out) ? 'json' : 'csv');
+  if (!['csv', 'json'].includes(format)) throw new Error(`unknown format "${format}"; use csv or json`);
+
+  const files = { csv: [], other: [] };
+  for (const target of values.forecasts) {
+    const found = await findFiles(target);
+    files.csv.push(...found.csv);
+    files.other.push(...found.other);
+  }
+  if (files.other.length > 0) warn(`skipped ${files.other.length} Parquet file(s); only CSV model output is read`);
+  if (files.csv.length === 0) throw new Error(`no model-output CSV files under ${values.forecasts.join(', ')}`);
+
+  const forecasts = [];
+  for (const file of files.csv) {
+    forecasts.push(...await readCSVFile(file, rows => parseModelOutput(rows, { model: modelFromFilename(file) })));
+  }
+  const truth = await readCSVFile(values.truth, parseTargetData);
+
+  const loaded = [...forecasts, ...sampleQuantileForecasts(forecasts, { levels: sampleLevels })];
+  const members = values.baseline ? [...loaded, ...baselineForecasts(loaded, truth)] : loaded;
+  const scaleOptions = { populations: LOCATION_POPULATIONS };
+  const scaled = transformForecasts(members, values.scale, scaleOptions);
+  const joined = joinTargetData(scaled.forecasts.filter(f => !isRateChangeForecast(f)), transformTruth(truth, values.scale, scaleOptions));
+  const trends = joinRateChanges(scaled.forecasts.filter(isRateChangeForecast), truth, scaleOptions);
+  const unmatched = [...joined.unmatched, ...trends.unmatched];
+  const result = scoreForecasts([...joined.matched, ...trends.matched]);
+  const scores = result.scores;
+  const skipped = [...scaled.skipped, ...result.skipped];
+  if (unmatched.length > 0) warn(`${unmatched.length} forecast(s) have no observation in ${values.truth} and were not scored`);
+  skipped.slice(0, 5).forEach(({ forecast, reason }) => {
+    warn(`skipped ${forecast.model} ${forecast.location} ${forecast.reference_date} horizon ${forecast.horizon}: ${reason}`);
+  });
+  if (skipped.length > 5) warn(`... and ${skipped.length - 5} more forecast(s) that could not be scored`);
+
+  const metrics = SCORE_COLUMNS.filter(c => scores.some(row => row[c] !== undefined));
+  // Output types share few metrics, so each is averaged (and counted) on its own
+  const mixed = new Set(scores.map(row => row.output_type)).size > 1;
+  const groups = mixed && by.length > 0 && !by.includes('output_type') ? [...by, 'output_type'] : by;
+  const rows = groups.length > 0
+    ? aggregateScores(scores, groups, { columns: metrics, medians: metrics.includes('wis') ? ['wis'] : [] })
+    : scores;
+  const columns = exportColumns(rows);
+  const text = format === 'csv'
+    ? formatCSV(rows, columns)
+    : `${JSON.stringify(rows.map(row => Object.fromEntries(columns.map(c => [c, row[c] ?? null]))), null, 2)}\n`;
+
+  if (values.out) {
+    await writeFile(values.out, text);
+    process.stderr.write(`Wrote ${rows.length} row(s) from ${scores.length} scored forecast(s) to ${values.out}\n`);
+  } else {
+    process.stdout.write(text);
+  }
+};
+
+const COMMANDS = { score };
+
+const [command, ...args] = process.argv.slice(2);
+if (!command || command === '-h' || command === '--help') {
+  process.stdout.write(USAGE);
+} else if (!COMMANDS[command]) {
+  warn(`unknown command "${command}"\n\n${USAGE}`);
+  process.exitCode = 1;
+} else {
+  COMMANDS[command](args).catch(err => {
+    warn(err.message);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,48 @@
+// Minimal RFC 4180 CSV reader: quoted fields, escaped quotes ("") and
+// CRLF line endings. Returns one object per row keyed by the header.
+export const parseCSV = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const src = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      rows.push(row); row = [];
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) { row.push(field); rows.push(row); }
+
+  const nonEmpty = rows.filter(r => r.some(v => v.trim() !== ''));
+  if (nonEmpty.length === 0) return [];
+
+  const header = nonEmpty[0].map(h => h.trim());
+  return nonEmpty.slice(1).map(r => Object.fromEntries(header.map((h, j) => [h, (r[j] ?? '').trim()])));
+};
+
+// CSV writer for the same dialect: fields holding a comma, quote or line
+// break are quoted, and missing values are written as empty fields.
+const csvField = (value) => {
+  if (value === null || value === undefined || Number.isNaN(value)) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const formatCSV = (rows, columns) => [
+  columns.map(csvField).join(','),
+  ...rows.map(row => columns.map(c => csvField(row[c])).join(',')),
+].join('\n') + '\n';
@@ -0,0 +1,17 @@
+// Illustrative season of weekly hospital admissions (not real data), in the
+// parsed target-data shape. Used by the interval views before anything is loaded.
+export const EXAMPLE_LOCATION = 'US';
+export const EXAMPLE_TARGET = 'wk inc flu hosp';
+
+const START = Date.UTC(2023, 9, 7); // Saturday 2023-10-07
+const VALUES = [
+  2010, 2290, 2730, 3320, 4180, 5620, 7710, 10480, 14030, 18520, 22790, 24460, 21050, 17310,
+  14620, 12790, 11540, 10810, 10090, 9380, 8420, 7290, 6130, 5020, 4110, 3290, 2720, 2210,
+];
+
+export const EXAMPLE_TRUTH = VALUES.map((observed, i) => ({
+  target_end_date: new Date(START + i * 7 * 86400000).toISOString().slice(0, 10),
+  location: EXAMPLE_LOCATION,
+  target: EXAMPLE_TARGET,
+  observed,
+}));
@@ -0,0 +1,112 @@
+// Hubverse model-output and target-data files, as used by FluSight.
+// A "forecast" here is one prediction task for one model and output type:
+//   { model, reference_date, target, horizon, location, target_end_date, output_type, ... }
+// with quantiles: [{ level, value }], samples: [number] or pmf: [{ category, probability }].
+// Sample forecasts also keep sample_ids, the output_type_id of each sample, so
+// a sample shared across horizons can be followed as one trajectory.
+
+const MODEL_OUTPUT_COLUMNS = ['reference_date', 'target', 'horizon', 'location', 'output_type', 'output_type_id', 'value'];
+
+// FIPS codes lose their leading zero when a CSV passes through a spreadsheet
+export const normalizeLocation = (location) => (/^\d$/.test(location) ? `0${location}` : location);
+
+// ISO date (YYYY-MM-DD) shifted by a number of days
+export const addDays = (isoDate, days) => {
+  const [y, m, d] = isoDate.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+};
+
+// Hubverse file names are <round_id>-<model_id>.csv, e.g. 2024-11-23-FluSight-baseline.csv
+export const modelFromFilename = (filename) => {
+  const base = filename.replace(/^.*[\\/]/, '').replace(/\.(csv|parquet)$/i, '');
+  const match = base.match(/^\d{4}-\d{2}-\d{2}-(.+)$/);
+  return match ? match[1] : base;
+};
+
+const requireColumns = (rows, columns, what) => {
+  if (rows.length === 0) throw new Error(`${what} file has no rows`);
+  const missing = columns.filter(c => !(c in rows[0]));
+  if (missing.length > 0) throw new Error(`${what} file is missing column(s): ${missing.join(', ')}`);
+};
+
+export const taskKey = (f) => [f.model, f.reference_date, f.target, f.horizon, f.location, f.output_type].join('|');
+
+// How each supported output type stores its rows on a forecast
+const OUTPUT_TYPES = {
+  quantile: { field: 'quantiles', entry: row => ({ level: Number(row.output_type_id), value: Number(row.value) }) },
+  sample: { field: 'samples', entry: row => Number(row.value), ids: 'sample_ids' },
+  pmf: { field: 'pmf', entry: row => ({ category: row.output_type_id, probability: Number(row.value) }) },
+};
+
+// Groups the rows of a model-output file into forecasts, one per task and
+// output type. Other output types (mean, median, cdf) are ignored. The model
+// comes from a model_id column when present, otherwise from the `model` option.
+export const parseModelOutput = (rows, { model } = {}) => {
+  requireColumns(rows, MODEL_OUTPUT_COLUMNS, 'Model-output');
+
+  const forecasts = new Map();
+  rows.forEach(row => {
+    const type = OUTPUT_TYPES[row.output_type];
+    if (!type) return;
+    const horizon = Number(row.horizon);
+    const forecast = {
+      model: row.model_id || model || 'model',
+      reference_date: row.reference_date,
+      target: row.target,
+      horizon,
+      location: normalizeLocation(row.location),
+      target_end_date: row.target_end_date || addDays(row.reference_date, 7 * horizon),
+      output_type: row.output_type,
+    };
+    const key = taskKey(forecast);
+    if (!forecasts.has(key)) forecasts.set(key, { ...forecast, [type.field]: [], ...(type.ids && { [type.ids]: [] }) });
+    forecasts.get(key)[type.field].push(type.entry(row));
+    if (type.ids) forecasts.get(key)[type.ids].push(row.output_type_id);
+  });
+
+  return [...forecasts.values()];
+};
+
+// Target data in either time-series form (date, location, value) or oracle
+// form (target_end_date, location, observation/oracle_value). A target column
+// is kept when present so several targets can share one file. Oracle output
+// for pmf targets marks the observed category with oracle_value 1; those rows
+// become categorical observations.
+export const parseTargetData = (rows) => {
+  if (rows.length === 0) throw new Error('Target-data file has no rows');
+  const cols = rows[0];
+  const dateCol = ['target_end_date', 'date'].find(c => c in cols);
+  const valueCol = ['observation', 'oracle_value', 'value'].find(c => c in cols);
+  if (!dateCol || !valueCol || !('location' in cols)) {
+    throw new Error('Target-data file needs a date (or target_end_date), location and value (or observation) column');
+  }
+
+  return rows
+    .filter(row => row[valueCol] !== '' && row[valueCol] !== 'NA')
+    .filter(row => row.output_type !== 'pmf' || Number(row[valueCol]) === 1)
+    .map(row => ({
+      target_end_date: row[dateCol],
+      location: normalizeLocation(row.location),
+      target: row.target || null,
+      observed: row.output_type === 'pmf' ? row.output_type_id : Number(row[valueCol]),
+    }));
+};
+
+// Attaches the observed value to each forecast, matching on target too when the
+// target data has one. Forecasts without a matching observation are returned
+// separately rather than dropped silently.
+export const joinTargetData = (forecasts, truth) => {
+  const byKey = new Map();
+  truth.forEach(t => byKey.set([t.location, t.target_end_date, t.target].join('|'), t.observed));
+
+  const matched = [];
+  const unmatched = [];
+  forecasts.forEach(f => {
+    const observed = byKey.get([f.location, f.target_end_date, f.target].join('|'))
+      ?? byKey.get([f.location, f.target_end_date, null].join('|'));
+    if (observed === undefined) unmatched.push(f);
+    else matched.push({ ...f, observed });
+  });
+
+  return { matched, unmatched };
+};
@@ -0,0 +1,9 @@
+// File formats the app reads: CSV and Hubverse model-output / target data
+export { parseCSV, formatCSV } from './csv.js';
+export {
+  normalizeLocation, addDays, modelFromFilename, taskKey,
+  parseModelOutput, parseTargetData, joinTargetData,
+} from './hubverse.js';
+export { EXAMPLE_LOCATION, EXAMPLE_TARGET, EXAMPLE_TRUTH } from './example.js';
+export { LOCATIONS, LOCATION_POPULATIONS } from './populations.js';
+export { epidemicPhases, phaseSegments } from './phases.js';
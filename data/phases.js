@@ -0,0 +1,32 @@
+// Epidemic phases of an observed weekly series, for shading charts.
+// The series is smoothed with a centred moving average; weeks within
+// `peakShare` of the season maximum are 'peak', otherwise a week-on-week
+// change beyond +/- `threshold` is 'growth' or 'decline', and anything else
+// is left unlabelled (null).
+// series: [{ date, value }]. Returns [{ date, phase }] in date order.
+export const epidemicPhases = (series, { threshold = 0.1, peakShare = 0.8, smooth = 3 } = {}) => {
+  const points = series
+    .filter(p => Number.isFinite(p.value))
+    .sort((a, b) => a.date.localeCompare(b.date));
+  const half = Math.floor(smooth / 2);
+  const smoothed = points.map((_, i) => {
+    const window = points.slice(Math.max(0, i - half), i + half + 1);
+    return window.reduce((s, p) => s + p.value, 0) / window.length;
+  });
+  const max = Math.max(...smoothed);
+
+  return points.map((p, i) => {
+    if (max > 0 && smoothed[i] >= peakShare * max) return { date: p.date, phase: 'peak' };
+    const prev = smoothed[i - 1];
+    const change = i > 0 && prev > 0 ? smoothed[i] / prev - 1 : 0;
+    return { date: p.date, phase: change > threshold ? 'growth' : change < -threshold ? 'decline' : null };
+  });
+};
+
+// Runs of consecutive dates in the same phase: [{ phase, start, end }]
+export const phaseSegments = (phases) => phases.reduce((segments, { date, phase }) => {
+  const last = segments[segments.length - 1];
+  if (last && last.phase === phase) last.end = date;
+  else segments.push({ phase, start: date, end: date });
+  return segments;
+}, []).filter(s => s.phase !== null);
@@ -0,0 +1,60 @@
+// Locations forecast in FluSight, with resident populations from the US Census
+// Bureau's Vintage 2023 estimates (July 1, 2023), as in the hub's locations.csv.
+export const LOCATIONS = [
+  { location: 'US', abbreviation: 'US', location_name: 'US', population: 334914895 },
+  { location: '01', abbreviation: 'AL', location_name: 'Alabama', population: 5108468 },
+  { location: '02', abbreviation: 'AK', location_name: 'Alaska', population: 733406 },
+  { location: '04', abbreviation: 'AZ', location_name: 'Arizona', population: 7431344 },
+  { location: '05', abbreviation: 'AR', location_name: 'Arkansas', population: 3067732 },
+  { location: '06', abbreviation: 'CA', location_name: 'California', population: 38965193 },
+  { location: '08', abbreviation: 'CO', location_name: 'Colorado', population: 5877610 },
+  { location: '09', abbreviation: 'CT', location_name: 'Connecticut', population: 3617176 },
+  { location: '10', abbreviation: 'DE', location_name: 'Delaware', population: 1031890 },
+  { location: '11', abbreviation: 'DC', location_name: 'District of Columbia', population: 678972 },
+  { location: '12', abbreviation: 'FL', location_name: 'Florida', population: 22610726 },
+  { location: '13', abbreviation: 'GA', location_name: 'Georgia', population: 11029227 },
+  { location: '15', abbreviation: 'HI', location_name: 'Hawaii', population: 1435138 },
+  { location: '16', abbreviation: 'ID', location_name: 'Idaho', population: 1964726 },
+  { location: '17', abbreviation: 'IL', location_name: 'Illinois', population: 12549689 },
+  { location: '18', abbreviation: 'IN', location_name: 'Indiana', population: 6862199 },
+  { location: '19', abbreviation: 'IA', location_name: 'Iowa', population: 3207004 },
+  { location: '20', abbreviation: 'KS', location_name: 'Kansas', population: 2940546 },
+  { location: '21', abbreviation: 'KY', location_name: 'Kentucky', population: 4526154 },
+  { location: '22', abbreviation: 'LA', location_name: 'Louisiana', population: 4573749 },
+  { location: '23', abbreviation: 'ME', location_name: 'Maine', population: 1395722 },
+  { location: '24', abbreviation: 'MD', location_name: 'Maryland', population: 6180253 },
+  { location: '25', abbreviation: 'MA', location_name: 'Massachusetts', population: 7001399 },
+  { location: '26', abbreviation: 'MI', location_name: 'Michigan', population: 10037261 },
+  { location: '27', abbreviation: 'MN', location_name: 'Minnesota', population: 5737915 },
+  { location: '28', abbreviation: 'MS', location_name: 'Mississippi', population: 2939690 },
+  { location: '29', abbreviation: 'MO', location_name: 'Missouri', population: 6196156 },
+  { location: '30', abbreviation: 'MT', location_name: 'Montana', population: 1132812 },
+  { location: '31', abbreviation: 'NE', location_name: 'Nebraska', population: 1978379 },
+  { location: '32', abbreviation: 'NV', location_name: 'Nevada', population: 3194176 },
+  { location: '33', abbreviation: 'NH', location_name: 'New Hampshire', population: 1402054 },
+  { location: '34', abbreviation: 'NJ', location_name: 'New Jersey', population: 9290841 },
+  { location: '35', abbreviation: 'NM', location_name: 'New Mexico', population: 2114371 },
+  { location: '36', abbreviation: 'NY', location_name: 'New York', population: 19571216 },
+  { location: '37', abbreviation: 'NC', location_name: 'North Carolina', population: 10835491 },
+  { location: '38', abbreviation: 'ND', location_name: 'North Dakota', population: 783926 },
+  { location: '39', abbreviation: 'OH', location_name: 'Ohio', population: 11785935 },
+  { location: '40', abbreviation: 'OK', location_name: 'Oklahoma', population: 4053824 },
+  { location: '41', abbreviation: 'OR', location_name: 'Oregon', population: 4233358 },
+  { location: '42', abbreviation: 'PA', location_name: 'Pennsylvania', population: 12961683 },
+  { location: '44', abbreviation: 'RI', location_name: 'Rhode Island', population: 1095962 },
+  { location: '45', abbreviation: 'SC', location_name: 'South Carolina', population: 5373555 },
+  { location: '46', abbreviation: 'SD', location_name: 'South Dakota', population: 919318 },
+  { location: '47', abbreviation: 'TN', location_name: 'Tennessee', population: 7126489 },
+  { location: '48', abbreviation: 'TX', location_name: 'Texas', population: 30503301 },
+  { location: '49', abbreviation: 'UT', location_name: 'Utah', population: 3417734 },
+  { location: '50', abbreviation: 'VT', location_name: 'Vermont', population: 647464 },
+  { location: '51', abbreviation: 'VA', location_name: 'Virginia', population: 8715698 },
+  { location: '53', abbreviation: 'WA', location_name: 'Washington', population: 7812880 },
+  { location: '54', abbreviation: 'WV', location_name: 'West Virginia', population: 1770071 },
+  { location: '55', abbreviation: 'WI', location_name: 'Wisconsin', population: 5910955 },
+  { location: '56', abbreviation: 'WY', location_name: 'Wyoming', population: 584057 },
+  { location: '72', abbreviation: 'PR', location_name: 'Puerto Rico', population: 3205691 },
+];
+
+// { location: population }, e.g. LOCATION_POPULATIONS['36'] for New York
+export const LOCATION_POPULATIONS = Object.fromEntries(LOCATIONS.map(l => [l.location, l.population]));
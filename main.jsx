@@ -0,0 +1,6 @@
+// Entry point of the built page (npm run build): mounts the app on #root
+import React from 'react';
+import { createRoot } from 'react-dom/client';
+import App from './ForecastMetricsV3.jsx';
+
+createRoot(document.getElementById('root')).render(<App />);
@@ -0,0 +1,18 @@
+import { validateQuantiles } from './quantiles.js';
+
+// Quantile-based bias (Funk et al. 2019; scoringutils' bias_quantile), in [-1, 1].
+// Positive values mean the forecast was too high (overprediction), negative too low.
+//   y <= median: 1 - 2 * max{ tau : q_tau <= y }   (max of an empty set is 0)
+//   y >= median: 1 - 2 * min{ tau : q_tau >= y }   (min of an empty set is 1)
+export const quantileBias = (observed, quantiles) => {
+  const q = validateQuantiles(quantiles);
+  const median = q.find(p => Math.abs(p.level - 0.5) < 1e-9).value;
+  if (observed === median) return 0;
+
+  if (observed < median) {
+    const below = q.filter(p => p.value <= observed);
+    return 1 - 2 * (below.length > 0 ? below[below.length - 1].level : 0);
+  }
+  const above = q.filter(p => p.value >= observed);
+  return 1 - 2 * (above.length > 0 ? above[0].level : 1);
+};
@@ -0,0 +1,56 @@
+// Exact binomial helpers for judging coverage: is k hits out of n consistent
+// with a nominal rate p, or is it more than sampling noise?
+
+// log Gamma via the Lanczos approximation (g = 7, n = 9)
+const LANCZOS = [
+  0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+  -176.61502916214059, 12.507343278686905, -0.13857109526572012,
+  9.9843695780195716e-6, 1.5056327351493116e-7,
+];
+const logGamma = (x) => {
+  if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  const z = x - 1;
+  let a = LANCZOS[0];
+  const t = z + 7.5;
+  for (let i = 1; i < 9; i++) a += LANCZOS[i] / (z + i);
+  return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(a);
+};
+
+export const binomialPmf = (k, n, p) => {
+  if (p === 0) return k === 0 ? 1 : 0;
+  if (p === 1) return k === n ? 1 : 0;
+  return Math.exp(
+    logGamma(n + 1) - logGamma(k + 1) - logGamma(n - k + 1) + k * Math.log(p) + (n - k) * Math.log(1 - p)
+  );
+};
+
+// Smallest k with P(X <= k) >= q
+export const binomialQuantile = (q, n, p) => {
+  let cdf = 0;
+  for (let k = 0; k <= n; k++) {
+    cdf += binomialPmf(k, n, p);
+    if (cdf >= q - 1e-12) return k;
+  }
+  return n;
+};
+
+// Two-sided exact binomial test (as R's binom.test): the probability, under
+// rate p, of a hit count at least as unlikely as the one observed.
+export const binomialTest = (hits, n, p) => {
+  if (n === 0) return 1;
+  const observed = binomialPmf(hits, n, p);
+  let pValue = 0;
+  for (let k = 0; k <= n; k++) {
+    const pk = binomialPmf(k, n, p);
+    if (pk <= observed * (1 + 1e-7)) pValue += pk;
+  }
+  return Math.min(1, pValue);
+};
+
+// Range of empirical coverage a perfectly calibrated forecaster would show
+// with the given probability, for n forecasts at nominal level p
+export const calibrationBand = (n, p, confidence = 0.95) => {
+  if (n === 0) return [0, 1];
+  const tail = (1 - confidence) / 2;
+  return [binomialQuantile(tail, n, p) / n, binomialQuantile(1 - tail, n, p) / n];
+};
@@ -0,0 +1,83 @@
+import { isInside } from './interval.js';
+import { quantilesToIntervals } from './quantiles.js';
+import { binomialTest, calibrationBand } from './binomial.js';
+
+// Empirical coverage of a set of interval forecasts.
+// records: [{ observed, lower, upper }]
+// Misses are split by side so callers can tell a biased model from a
+// merely overconfident one.
+export const intervalCoverage = (records) => {
+  let hits = 0;
+  let below = 0;
+  let above = 0;
+
+  records.forEach(({ observed, lower, upper }) => {
+    if (isInside(observed, lower, upper)) hits += 1;
+    else if (observed < lower) below += 1;
+    else above += 1;
+  });
+
+  const n = records.length;
+  return {
+    n,
+    hits,
+    below,
+    above,
+    coverage: n > 0 ? hits / n : NaN,
+  };
+};
+
+// Empirical coverage of every central interval in a set of quantile forecasts,
+// with the binomial band and exact test p-value against the nominal level.
+// forecasts: [{ observed, quantiles: [{ level, value }] }]
+export const coverageByLevel = (forecasts, { confidence = 0.95 } = {}) => {
+  const byLevel = new Map();
+  forecasts.forEach(({ observed, quantiles }) => {
+    quantilesToIntervals(quantiles).intervals.forEach(({ level, lower, upper }) => {
+      if (!byLevel.has(level)) byLevel.set(level, { level, n: 0, hits: 0 });
+      const entry = byLevel.get(level);
+      entry.n += 1;
+      if (isInside(observed, lower, upper)) entry.hits += 1;
+    });
+  });
+
+  return [...byLevel.values()]
+    .sort((a, b) => a.level - b.level)
+    .map(entry => ({
+      ...entry,
+      coverage: entry.hits / entry.n,
+      band: calibrationBand(entry.n, entry.level, confidence),
+      p_value: binomialTest(entry.hits, entry.n, entry.level),
+    }));
+};
+
+// Coverage of one central interval per reference date, plus a rolling version
+// pooling the hits of the last `window` reference dates.
+// forecasts: [{ reference_date, observed, quantiles }]
+export const coverageOverTime = (forecasts, { level = 0.95, window = 4, confidence = 0.95 } = {}) => {
+  const byDate = new Map();
+  forecasts.forEach(({ reference_date, observed, quantiles }) => {
+    const interval = quantilesToIntervals(quantiles).intervals.find(i => Math.abs(i.level - level) < 1e-9);
+    if (!interval) return;
+    if (!byDate.has(reference_date)) byDate.set(reference_date, { reference_date, n: 0, hits: 0 });
+    const entry = byDate.get(reference_date);
+    entry.n += 1;
+    if (isInside(observed, interval.lower, interval.upper)) entry.hits += 1;
+  });
+
+  const dates = [...byDate.values()].sort((a, b) => a.reference_date.localeCompare(b.reference_date));
+  return dates.map((entry, i) => {
+    const recent = dates.slice(Math.max(0, i - window + 1), i + 1);
+    const rollingN = recent.reduce((s, d) => s + d.n, 0);
+    const rollingHits = recent.reduce((s, d) => s + d.hits, 0);
+    return {
+      ...entry,
+      coverage: entry.hits / entry.n,
+      band: calibrationBand(entry.n, level, confidence),
+      rolling_n: rollingN,
+      rolling_hits: rollingHits,
+      rolling_coverage: rollingHits / rollingN,
+      rolling_band: calibrationBand(rollingN, level, confidence),
+    };
+  });
+};
@@ -0,0 +1,20 @@
+// Public entry point for the scoring library. ForecastMetricsV3.jsx, and the
+// index.html built from it, import from here.
+export { isInside, calculatePIS } from './interval.js';
+export { WIS_COMPONENTS, calculateWIS, scoreQuantiles, wisContributions } from './wis.js';
+export { intervalCoverage, coverageByLevel, coverageOverTime } from './coverage.js';
+export { quantileBias } from './bias.js';
+export { binomialPmf, binomialQuantile, binomialTest, calibrationBand } from './binomial.js';
+export { FLUSIGHT_QUANTILE_LEVELS, validateQuantiles, quantilesToIntervals, intervalsToQuantiles, empiricalQuantile } from './quantiles.js';
+export { REPORTED_COVERAGE_LEVELS, TASK_COLUMNS, SCORE_COLUMNS, exportColumns, scorers, scoreForecast, scoreForecasts } from './score.js';
+export { crpsSample, sampleMedian, sampleQuantiles } from './sample.js';
+export { validatePmf, logScorePmf, rankedProbabilityScore } from './pmf.js';
+export {
+  RATE_CHANGE_CATEGORIES, RATE_CHANGE_THRESHOLDS, RATE_CHANGE_MIN_COUNT,
+  rateChangeCategory, isRateChangeForecast, joinRateChanges,
+} from './ratechange.js';
+export { AGGREGATE_COLUMNS, seasonOf, summarizeScores, aggregateScores } from './summarize.js';
+export { COMPARISON_COLUMNS, pairwiseComparison } from './relative.js';
+export { pitValue, pitValues, pitHistogram, diagnosePIT, quantileCoverage } from './pit.js';
+export { normalQuantile } from './normal.js';
+export { SCORING_SCALES, transformValue, transformForecasts, transformTruth } from './transform.js';
@@ -0,0 +1,27 @@
+// Interval-level scores. All functions return plain numbers; formatting is
+// left to the caller.
+
+// Whether an observation falls inside a closed interval [lower, upper]
+export const isInside = (observed, lower, upper) => observed >= lower && observed <= upper;
+
+// PIS (Prediction Interval Score) for a central (1 - alpha) interval:
+// width + (2 / alpha) * distance outside the interval
+export const calculatePIS = (observed, lower, upper, alpha) => {
+  const width = upper - lower;
+  let penalty = 0;
+
+  if (observed < lower) {
+    penalty = (2 / alpha) * (lower - observed);
+  } else if (observed > upper) {
+    penalty = (2 / alpha) * (observed - upper);
+  }
+
+  return {
+    width,
+    penalty,
+    total: width + penalty,
+    outsideLower: observed < lower,
+    outsideUpper: observed > upper,
+    inside: isInside(observed, lower, upper),
+  };
+};
@@ -0,0 +1,83 @@
+import { validateQuantiles } from './quantiles.js';
+import { calibrationBand } from './binomial.js';
+
+// Probability integral transform of an observation under a quantile forecast,
+// i.e. the forecast CDF at y, interpolated linearly between submitted quantiles.
+// Beyond the outermost quantiles only the tail mass is known, so the midpoint of
+// the tail is used; an observation on a flat stretch (several quantiles equal to
+// y, e.g. zeros) gets the midpoint of those levels.
+export const pitValue = (observed, quantiles) => {
+  const q = validateQuantiles(quantiles);
+  const first = q[0];
+  const last = q[q.length - 1];
+  if (observed < first.value) return first.level / 2;
+  if (observed > last.value) return (1 + last.level) / 2;
+
+  const ties = q.filter(p => p.value === observed);
+  if (ties.length > 0) return (ties[0].level + ties[ties.length - 1].level) / 2;
+
+  const i = q.findIndex(p => p.value > observed);
+  const lo = q[i - 1];
+  const hi = q[i];
+  return lo.level + ((observed - lo.value) / (hi.value - lo.value)) * (hi.level - lo.level);
+};
+
+// forecasts: [{ observed, quantiles }]
+export const pitValues = (forecasts) => forecasts.map(f => pitValue(f.observed, f.quantiles));
+
+// Equal-width histogram on [0, 1]; density is 1 everywhere for a calibrated model
+export const pitHistogram = (pits, bins = 10) => {
+  const counts = new Array(bins).fill(0);
+  pits.forEach(p => { counts[Math.min(bins - 1, Math.floor(p * bins))] += 1; });
+  return counts.map((count, i) => ({
+    bin_start: i / bins,
+    bin_end: (i + 1) / bins,
+    count,
+    density: pits.length > 0 ? (count * bins) / pits.length : 0,
+  }));
+};
+
+// Reads a PIT sample against Uniform(0, 1). The mean flags bias and the
+// variance flags dispersion, each only when it is more than two standard
+// errors from its uniform value (0.5 and 1/12).
+export const diagnosePIT = (pits) => {
+  const n = pits.length;
+  if (n === 0) return { n, mean: NaN, variance: NaN, bias: null, dispersion: null };
+  const mean = pits.reduce((a, b) => a + b, 0) / n;
+  const variance = pits.reduce((a, p) => a + (p - mean) ** 2, 0) / n;
+  const meanSE = Math.sqrt(1 / 12 / n);
+  const varianceSE = Math.sqrt((1 / 80 - 1 / 144) / n);
+
+  let bias = null;
+  if (mean > 0.5 + 2 * meanSE) bias = 'under';
+  else if (mean < 0.5 - 2 * meanSE) bias = 'over';
+
+  let dispersion = null;
+  if (variance > 1 / 12 + 2 * varianceSE) dispersion = 'too-narrow';
+  else if (variance < 1 / 12 - 2 * varianceSE) dispersion = 'too-wide';
+
+  return { n, mean, variance, bias, dispersion };
+};
+
+// One-sided coverage: the share of observations at or below each predictive
+// quantile, which should match the quantile level itself.
+export const quantileCoverage = (forecasts, { confidence = 0.95 } = {}) => {
+  const byLevel = new Map();
+  forecasts.forEach(({ observed, quantiles }) => {
+    validateQuantiles(quantiles).forEach(({ level, value }) => {
+      const key = Math.round(level * 1e6);
+      if (!byLevel.has(key)) byLevel.set(key, { level, n: 0, below: 0 });
+      const entry = byLevel.get(key);
+      entry.n += 1;
+      if (observed <= value) entry.below += 1;
+    });
+  });
+
+  return [...byLevel.values()]
+    .sort((a, b) => a.level - b.level)
+    .map(entry => ({
+      ...entry,
+      coverage: entry.below / entry.n,
+      band: calibrationBand(entry.n, entry.level, confidence),
+    }));
+};
@@ -0,0 +1,38 @@
+// Probability mass forecasts over named categories:
+// pmf: [{ category, probability }], e.g. { category: 'large_increase', probability: 0.1 }
+
+// Throws if probabilities are negative or do not sum to 1 (within rounding)
+export const validatePmf = (pmf) => {
+  if (!Array.isArray(pmf) || pmf.length === 0) throw new Error('Pmf forecast is empty');
+  const total = pmf.reduce((sum, { category, probability }) => {
+    if (!(probability >= 0)) throw new Error(`Category ${category} has an invalid probability`);
+    return sum + probability;
+  }, 0);
+  if (Math.abs(total - 1) > 1e-3) throw new Error(`Pmf probabilities sum to ${total.toFixed(4)}, not 1`);
+  return pmf;
+};
+
+// Log score (negatively oriented, natural log): -log p(observed category).
+// A zero probability on the observed category scores Infinity.
+export const logScorePmf = (observed, pmf) => {
+  validatePmf(pmf);
+  const hit = pmf.find(({ category }) => category === observed);
+  return -Math.log(hit ? hit.probability : 0);
+};
+
+// Ranked probability score for ordered categories (negatively oriented): the sum
+// over categories k of (F(k) - O(k))^2, where F and O are the forecast and
+// observed cumulative probabilities up to k. Not divided by K - 1, as
+// scoringutils' rps_ordinal. categories: every category, in order.
+export const rankedProbabilityScore = (observed, pmf, categories) => {
+  validatePmf(pmf);
+  if (!categories.includes(observed)) throw new Error(`Observed category ${observed} is not one of ${categories.join(', ')}`);
+  const probability = new Map(pmf.map(p => [p.category, p.probability]));
+  let forecastCum = 0;
+  let observedCum = 0;
+  return categories.reduce((score, category) => {
+    forecastCum += probability.get(category) ?? 0;
+    if (category === observed) observedCum = 1;
+    return score + (forecastCum - observedCum) ** 2;
+  }, 0);
+};
@@ -0,0 +1,89 @@
+// Quantile forecasts as submitted to FluSight / Hubverse hubs:
+// quantiles: [{ level, value }], e.g. { level: 0.025, value: 1280 }
+
+// The 23 levels FluSight asks for
+export const FLUSIGHT_QUANTILE_LEVELS = [
+  0.01, 0.025, 0.05, 0.1, 0.15, 0.2, 0.25, 0.3, 0.35, 0.4, 0.45,
+  0.5,
+  0.55, 0.6, 0.65, 0.7, 0.75, 0.8, 0.85, 0.9, 0.95, 0.975, 0.99,
+];
+
+// Levels arrive as parsed strings/floats ("0.975"), so compare them on a grid
+// fine enough for any level a hub would use
+const levelKey = (level) => Math.round(level * 1e6);
+
+// Sorts by level and throws if the set cannot be scored: levels outside (0, 1),
+// duplicates, a missing median, an unmatched lower/upper level, or values
+// that decrease as the level increases (quantile crossing).
+export const validateQuantiles = (quantiles) => {
+  if (!Array.isArray(quantiles) || quantiles.length === 0) {
+    throw new Error('Quantile forecast is empty');
+  }
+
+  const sorted = quantiles
+    .map(({ level, value }) => ({ level: Number(level), value: Number(value) }))
+    .sort((a, b) => a.level - b.level);
+
+  const keys = new Set();
+  sorted.forEach(({ level, value }) => {
+    if (!(level > 0 && level < 1)) throw new Error(`Quantile level ${level} is outside (0, 1)`);
+    if (!Number.isFinite(value)) throw new Error(`Quantile ${level} has a non-numeric value`);
+    if (keys.has(levelKey(level))) throw new Error(`Quantile level ${level} appears more than once`);
+    keys.add(levelKey(level));
+  });
+
+  if (!keys.has(levelKey(0.5))) throw new Error('Quantile forecast has no median (level 0.5)');
+
+  sorted.forEach(({ level }) => {
+    if (!keys.has(levelKey(1 - level))) {
+      throw new Error(`Quantile level ${level} has no symmetric partner ${+(1 - level).toFixed(6)}`);
+    }
+  });
+
+  for (let i = 1; i < sorted.length; i++) {
+    if (sorted[i].value < sorted[i - 1].value) {
+      throw new Error(
+        `Quantiles are not monotone: level ${sorted[i].level} (${sorted[i].value}) ` +
+        `is below level ${sorted[i - 1].level} (${sorted[i - 1].value})`
+      );
+    }
+  }
+
+  return sorted;
+};
+
+// Pairs levels q and 1 - q into central intervals with alpha = 2q.
+// Intervals are ordered widest first (95%, 80%, ..., 10%).
+export const quantilesToIntervals = (quantiles) => {
+  const sorted = validateQuantiles(quantiles);
+  const byKey = new Map(sorted.map(q => [levelKey(q.level), q.value]));
+
+  const intervals = sorted
+    .filter(({ level }) => levelKey(level) < levelKey(0.5))
+    .map(({ level, value }) => ({
+      lower: value,
+      upper: byKey.get(levelKey(1 - level)),
+      alpha: 2 * level,
+      level: levelKey(1 - 2 * level) / 1e6,
+    }));
+
+  return { median: byKey.get(levelKey(0.5)), intervals };
+};
+
+// Empirical quantile of an ascending-sorted sample, linearly interpolated
+// between order statistics (R's default, type 7)
+export const empiricalQuantile = (sorted, level) => {
+  if (sorted.length === 0) return NaN;
+  const h = (sorted.length - 1) * level;
+  const lo = Math.floor(h);
+  const hi = Math.min(lo + 1, sorted.length - 1);
+  return sorted[lo] + (h - lo) * (sorted[hi] - sorted[lo]);
+};
+
+// Inverse of quantilesToIntervals: a median plus central intervals
+// ({ lower, upper, alpha }) as a list of quantiles
+export const intervalsToQuantiles = (median, intervals) => [
+  ...intervals.map(({ lower, alpha }) => ({ level: alpha / 2, value: lower })),
+  { level: 0.5, value: median },
+  ...intervals.map(({ upper, alpha }) => ({ level: 1 - alpha / 2, value: upper })),
+].sort((a, b) => a.level - b.level);
@@ -0,0 +1,72 @@
+// FluSight's categorical "rate change" target (e.g. wk flu hosp rate change):
+// the change in weekly admissions per 100k between the week before the
+// reference date and the target end date, put in one of five ordered categories.
+export const RATE_CHANGE_CATEGORIES = ['large_decrease', 'decrease', 'stable', 'increase', 'large_increase'];
+
+// Thresholds per horizon, in admissions per 100k (FluSight 2024/25): changes
+// smaller than `stable` are stable, changes of at least `large` are large
+export const RATE_CHANGE_THRESHOLDS = {
+  0: { stable: 0.3, large: 1.7 },
+  1: { stable: 0.5, large: 3 },
+  2: { stable: 0.7, large: 4 },
+  3: { stable: 1, large: 5 },
+};
+
+// Changes of fewer admissions than this are stable whatever the rate
+export const RATE_CHANGE_MIN_COUNT = 10;
+
+// Category of an observed change, given in admissions (countChange) and
+// admissions per 100k (rateChange)
+export const rateChangeCategory = (countChange, rateChange, horizon) => {
+  const thresholds = RATE_CHANGE_THRESHOLDS[horizon];
+  if (!thresholds) throw new Error(`No rate-change thresholds for horizon ${horizon}`);
+  const size = Math.abs(rateChange);
+  if (Math.abs(countChange) < RATE_CHANGE_MIN_COUNT || size < thresholds.stable) return 'stable';
+  const direction = rateChange > 0 ? 'increase' : 'decrease';
+  return size >= thresholds.large ? `large_${direction}` : direction;
+};
+
+// ISO date shifted by a number of days. Kept here rather than imported from
+// data/ so metrics/ stays free of other modules.
+const shiftDays = (isoDate, days) => {
+  const [y, m, d] = isoDate.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+};
+
+// Whether a forecast is a pmf over the rate-change categories
+export const isRateChangeForecast = (f) => f.output_type === 'pmf'
+  && f.pmf.length > 0 && f.pmf.every(p => RATE_CHANGE_CATEGORIES.includes(p.category));
+
+// Attaches the observed category to rate-change forecasts. A categorical
+// observation for the forecast's target (oracle output) is used when the target
+// data has one; otherwise the category is worked out from the weekly counts
+// (rows for countTarget, or without a target) and populations ({ location: population }).
+// Returns { matched, unmatched } as joinTargetData does.
+export const joinRateChanges = (forecasts, truth, { populations = {}, countTarget = 'wk inc flu hosp' } = {}) => {
+  const counts = new Map();
+  const categories = new Map();
+  truth.forEach(t => {
+    (typeof t.observed === 'number' ? counts : categories).set([t.location, t.target_end_date, t.target].join('|'), t.observed);
+  });
+  const count = (location, date) => counts.get([location, date, countTarget].join('|')) ?? counts.get([location, date, null].join('|'));
+
+  const matched = [];
+  const unmatched = [];
+  forecasts.forEach(f => {
+    const oracle = categories.get([f.location, f.target_end_date, f.target].join('|'));
+    if (oracle !== undefined) {
+      matched.push({ ...f, observed: oracle });
+      return;
+    }
+    const before = count(f.location, shiftDays(f.reference_date, -7));
+    const after = count(f.location, f.target_end_date);
+    const population = populations[f.location];
+    if (before === undefined || after === undefined || !(population > 0) || !RATE_CHANGE_THRESHOLDS[f.horizon]) {
+      unmatched.push(f);
+      return;
+    }
+    matched.push({ ...f, observed: rateChangeCategory(after - before, ((after - before) / population) * 1e5, f.horizon) });
+  });
+
+  return { matched, unmatched };
+};
@@ -0,0 +1,48 @@
+// Relative WIS by pairwise tournament (Cramer et al. 2022, as used by the
+// COVID-19 and FluSight hubs). For every pair of models the mean WIS ratio is
+// taken over the tasks both forecast; a model's relative skill is the
+// geometric mean of its ratios against all models, and the scaled version
+// divides that by the baseline's relative skill.
+
+// Columns that identify a prediction task, independent of the model
+export const COMPARISON_COLUMNS = ['reference_date', 'target', 'horizon', 'location'];
+
+const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+
+// scores: score rows from scoreForecasts. Returns one row per model, ranked
+// best first, with scoringutils' column names. Rows without the metric (other
+// output types) are ignored, and models that share no tasks with another
+// model simply skip that comparison.
+export const pairwiseComparison = (scores, { baseline, metric = 'wis' } = {}) => {
+  const byModel = new Map();
+  scores.filter(row => Number.isFinite(row[metric])).forEach(row => {
+    if (!byModel.has(row.model)) byModel.set(row.model, new Map());
+    byModel.get(row.model).set(COMPARISON_COLUMNS.map(c => row[c]).join('|'), row[metric]);
+  });
+  const models = [...byModel.keys()];
+
+  const ratio = (a, b) => {
+    const tasksA = byModel.get(a);
+    const tasksB = byModel.get(b);
+    const shared = [...tasksA.keys()].filter(k => tasksB.has(k));
+    if (shared.length === 0) return null;
+    const denom = mean(shared.map(k => tasksB.get(k)));
+    return denom > 0 ? mean(shared.map(k => tasksA.get(k))) / denom : null;
+  };
+
+  const skill = new Map(models.map(m => {
+    const logs = models.map(other => ratio(m, other)).filter(r => r !== null && r > 0).map(Math.log);
+    return [m, logs.length > 0 ? Math.exp(mean(logs)) : null];
+  }));
+
+  const baselineSkill = skill.get(baseline) ?? null;
+  return models
+    .map(m => ({
+      model: m,
+      n: byModel.get(m).size,
+      [metric]: mean([...byModel.get(m).values()]),
+      [`${metric}_relative_skill`]: skill.get(m),
+      [`${metric}_scaled_relative_skill`]: baselineSkill && skill.get(m) !== null ? skill.get(m) / baselineSkill : null,
+    }))
+    .sort((a, b) => (a[`${metric}_relative_skill`] ?? Infinity) - (b[`${metric}_relative_skill`] ?? Infinity));
+};
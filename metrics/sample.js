@@ -0,0 +1,38 @@
+import { empiricalQuantile, intervalsToQuantiles } from './quantiles.js';
+
+const sortedSamples = (samples) => samples.map(Number).filter(Number.isFinite).sort((a, b) => a - b);
+
+// Exact CRPS of the empirical distribution of a sample, energy form:
+//   CRPS = E|X - y| - 1/2 E|X - X'|
+// E|X - X'| is computed from order statistics in O(n log n) instead of O(n^2).
+export const crpsSample = (observed, samples) => {
+  const x = sortedSamples(samples);
+  const n = x.length;
+  if (n === 0) throw new Error('Sample forecast is empty');
+
+  let absError = 0;
+  let spread = 0;
+  x.forEach((xi, i) => {
+    absError += Math.abs(xi - observed);
+    spread += (2 * (i + 1) - n - 1) * xi;
+  });
+  return absError / n - spread / (n * n);
+};
+
+// Median of a sample forecast
+export const sampleMedian = (samples) => empiricalQuantile(sortedSamples(samples), 0.5);
+
+// Empirical quantiles of a sample forecast: the median plus the bounds of a
+// central interval at each level in `levels` (e.g. 0.95 -> 0.025 and 0.975),
+// as [{ level, value }] ready for scoreQuantiles
+export const sampleQuantiles = (samples, levels) => {
+  const x = sortedSamples(samples);
+  if (x.length === 0) throw new Error('Sample forecast is empty');
+  const intervals = [...new Set(levels.map(l => Math.round(l * 1e6) / 1e6))]
+    .filter(l => l > 0 && l < 1)
+    .map(l => {
+      const alpha = Math.round((1 - l) * 1e6) / 1e6;
+      return { lower: empiricalQuantile(x, alpha / 2), upper: empiricalQuantile(x, 1 - alpha / 2), alpha };
+    });
+  return intervalsToQuantiles(empiricalQuantile(x, 0.5), intervals);
+};
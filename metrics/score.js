@@ -0,0 +1,98 @@
+import { quantilesToIntervals } from './quantiles.js';
+import { calculateWIS } from './wis.js';
+import { isInside } from './interval.js';
+import { quantileBias } from './bias.js';
+import { crpsSample, sampleMedian } from './sample.js';
+import { logScorePmf, rankedProbabilityScore } from './pmf.js';
+import { RATE_CHANGE_CATEGORIES, isRateChangeForecast } from './ratechange.js';
+
+// Interval levels reported as coverage columns in score tables
+export const REPORTED_COVERAGE_LEVELS = [0.5, 0.95];
+
+// Task columns carried from a forecast into its score row
+export const TASK_COLUMNS = ['model', 'reference_date', 'target', 'horizon', 'location', 'target_end_date', 'output_type'];
+
+// Metric columns in the order scoringutils reports them, followed by the
+// relative skill columns pairwiseComparison adds
+export const SCORE_COLUMNS = [
+  'wis', 'overprediction', 'underprediction', 'dispersion', 'bias',
+  ...REPORTED_COVERAGE_LEVELS.map(level => `interval_coverage_${level * 100}`),
+  'ae_median', 'crps', 'log_score', 'rps', 'wis_relative_skill', 'wis_scaled_relative_skill',
+];
+
+// Columns to write score rows (or summaries of them) out with, laid out as
+// scoringutils does: forecast-unit columns first, then the metrics, then the
+// forecast count and any `<metric>_median` columns. observed is left out as it
+// is of scoringutils' score(), and so is output_type unless the rows mix types.
+export const exportColumns = (rows) => {
+  const keys = [...new Set(rows.flatMap(row => Object.keys(row)))];
+  const extra = ['n', ...SCORE_COLUMNS.map(c => `${c}_median`)];
+  const mixed = new Set(rows.map(row => row.output_type)).size > 1;
+  const unit = keys.filter(k => !SCORE_COLUMNS.includes(k) && !extra.includes(k) && k !== 'observed' && (k !== 'output_type' || mixed));
+  return [...unit, ...SCORE_COLUMNS.filter(c => keys.includes(c)), ...extra.filter(c => keys.includes(c))];
+};
+
+// Scores for each Hubverse output type. Each takes the observation and the
+// forecast and returns the score columns (named as in scoringutils).
+export const scorers = {
+  // forecast.quantiles: [{ level, value }]
+  quantile: (observed, { quantiles }) => {
+    const { median, intervals } = quantilesToIntervals(quantiles);
+    const wis = calculateWIS(observed, median, intervals);
+    const row = {
+      wis: wis.total,
+      dispersion: wis.dispersion,
+      overprediction: wis.overprediction,
+      underprediction: wis.underprediction,
+      bias: quantileBias(observed, quantiles),
+      ae_median: wis.absError,
+    };
+    REPORTED_COVERAGE_LEVELS.forEach(level => {
+      const interval = intervals.find(i => Math.abs(i.level - level) < 1e-9);
+      row[`interval_coverage_${level * 100}`] = interval ? Number(isInside(observed, interval.lower, interval.upper)) : null;
+    });
+    return row;
+  },
+  // forecast.samples: [number]
+  sample: (observed, { samples }) => ({
+    crps: crpsSample(observed, samples),
+    ae_median: Math.abs(observed - sampleMedian(samples)),
+  }),
+  // forecast.pmf: [{ category, probability }]; observed is a category.
+  // Rate-change categories are ordered, so they also get the RPS.
+  pmf: (observed, forecast) => ({
+    log_score: logScorePmf(observed, forecast.pmf),
+    ...(isRateChangeForecast(forecast) && { rps: rankedProbabilityScore(observed, forecast.pmf, RATE_CHANGE_CATEGORIES) }),
+  }),
+};
+
+// Scores one forecast that already has its observed value attached,
+// dispatching on its output_type (quantile when not set).
+export const scoreForecast = (forecast) => {
+  const outputType = forecast.output_type || 'quantile';
+  const scorer = scorers[outputType];
+  if (!scorer) throw new Error(`Output type "${outputType}" cannot be scored`);
+
+  const row = Object.fromEntries(TASK_COLUMNS.map(c => [c, forecast[c]]));
+  row.output_type = outputType;
+  row.observed = forecast.observed;
+  return Object.assign(row, scorer(forecast.observed, forecast));
+};
+
+// Scores every forecast; ones that fail validation (crossing quantiles,
+// missing median, ...) are reported instead of aborting the whole table.
+// scored holds the forecasts behind each score row, in the same order.
+export const scoreForecasts = (forecasts) => {
+  const scores = [];
+  const scored = [];
+  const skipped = [];
+  forecasts.forEach(forecast => {
+    try {
+      scores.push(scoreForecast(forecast));
+      scored.push(forecast);
+    } catch (err) {
+      skipped.push({ forecast, reason: err.message });
+    }
+  });
+  return { scores, scored, skipped };
+};
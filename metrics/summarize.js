@@ -0,0 +1,69 @@
+// Columns that can be grouped on without being stored on score rows
+const DERIVED_COLUMNS = {
+  season: (row) => seasonOf(row.target_end_date),
+};
+
+// Score columns reported by aggregateScores unless others are asked for
+export const AGGREGATE_COLUMNS = [
+  'wis', 'dispersion', 'overprediction', 'underprediction', 'bias', 'ae_median',
+  'interval_coverage_50', 'interval_coverage_95',
+];
+
+// Respiratory-virus season of a date, running August to July: '2023/24'
+export const seasonOf = (isoDate) => {
+  const year = Number(isoDate.slice(0, 4));
+  const start = Number(isoDate.slice(5, 7)) >= 8 ? year : year - 1;
+  return `${start}/${String((start + 1) % 100).padStart(2, '0')}`;
+};
+
+const groupBy = (scores, by) => {
+  const groups = new Map();
+  scores.forEach(row => {
+    const values = by.map(c => (DERIVED_COLUMNS[c] ? DERIVED_COLUMNS[c](row) : row[c]));
+    const key = values.join('|');
+    if (!groups.has(key)) groups.set(key, { values, rows: [] });
+    groups.get(key).rows.push(row);
+  });
+  return [...groups.values()];
+};
+
+const present = (rows, col) => rows.map(r => r[col]).filter(v => v !== null && v !== undefined);
+const mean = (values) => (values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null);
+const median = (values) => {
+  if (values.length === 0) return null;
+  const s = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(s.length / 2);
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+};
+
+// Mean of each score column within groups of score rows.
+// by: task columns to group on, e.g. ['location', 'horizon']
+// n counts the rows with a value in at least one of the columns, so rows of
+// another output type (a pmf row has no WIS) don't inflate it.
+export const summarizeScores = (scores, by, columns) => groupBy(scores, by).map(({ values, rows }) => {
+  const summary = Object.fromEntries(by.map((c, i) => [c, values[i]]));
+  columns.forEach(col => { summary[col] = mean(present(rows, col)); });
+  summary.n = columns.length > 0
+    ? rows.filter(row => columns.some(col => row[col] !== null && row[col] !== undefined)).length
+    : rows.length;
+  return summary;
+});
+
+// summarizeScores for any combination of model, location, horizon, target,
+// target_end_date and season, adding `<column>_median` for the columns in
+// `medians`. Groups come back sorted by the grouping columns.
+export const aggregateScores = (scores, by, { columns = AGGREGATE_COLUMNS, medians = ['wis'] } = {}) => {
+  const medianOf = new Map(groupBy(scores, by).map(({ values, rows }) => [
+    values.join('|'),
+    Object.fromEntries(medians.map(col => [`${col}_median`, median(present(rows, col))])),
+  ]));
+  return summarizeScores(scores, by, columns)
+    .map(summary => ({ ...summary, ...medianOf.get(by.map(c => summary[c]).join('|')) }))
+    .sort((a, b) => {
+      for (const c of by) {
+        const d = typeof a[c] === 'number' ? a[c] - b[c] : String(a[c]).localeCompare(String(b[c]));
+        if (d !== 0) return d;
+      }
+      return 0;
+    });
+};
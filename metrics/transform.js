@@ -0,0 +1,71 @@
+// Scales forecasts and observations can be scored on. WIS grows with the size
+// of the target, so on the natural scale national scores dwarf state ones:
+//   log      log(x + 1), scoring relative rather than absolute errors (Bosse et al. 2023)
+//   per100k  counts per 100,000 residents of the location
+export const SCORING_SCALES = {
+  natural: 'Counts',
+  log: 'log(x + 1)',
+  per100k: 'Per 100k',
+};
+
+// Transforms one value. Counts below zero are truncated at zero before the log.
+// population is only used by per100k, which throws without one rather than
+// returning NaN.
+export const transformValue = (value, scale, population) => {
+  if (scale === 'log') return Math.log1p(Math.max(0, value));
+  if (scale === 'per100k') {
+    if (!(population > 0)) throw new Error(`Scoring per 100k needs a population, got ${population}`);
+    return (value / population) * 1e5;
+  }
+  return value;
+};
+
+const checkScale = (scale) => {
+  if (!SCORING_SCALES[scale]) throw new Error(`Unknown scoring scale "${scale}"`);
+};
+
+const populationFor = (scale, populations, location) => (scale === 'per100k' ? populations[location] : null);
+
+// Forecasts on another scale: quantile values, samples and (when attached) a
+// numeric observation are transformed; pmf forecasts are categorical and pass
+// through unchanged. For per100k, populations is { location: population };
+// forecasts for locations without one are returned in skipped as
+// { forecast, reason }, like scoreForecasts reports them.
+export const transformForecasts = (forecasts, scale, { populations = {} } = {}) => {
+  checkScale(scale);
+  if (scale === 'natural') return { forecasts, skipped: [] };
+
+  const transformed = [];
+  const skipped = [];
+  forecasts.forEach(f => {
+    if (f.output_type === 'pmf') {
+      transformed.push(f);
+      return;
+    }
+    const population = populationFor(scale, populations, f.location);
+    if (scale === 'per100k' && !(population > 0)) {
+      skipped.push({ forecast: f, reason: `no population for location ${f.location}` });
+      return;
+    }
+    const t = (v) => transformValue(v, scale, population);
+    transformed.push({
+      ...f,
+      ...(f.quantiles && { quantiles: f.quantiles.map(q => ({ ...q, value: t(q.value) })) }),
+      ...(f.samples && { samples: f.samples.map(t) }),
+      ...(typeof f.observed === 'number' && { observed: t(f.observed) }),
+    });
+  });
+  return { forecasts: transformed, skipped };
+};
+
+// Target data on another scale. Categorical observations are kept as they
+// are; for per100k, rows for locations without a population are dropped.
+export const transformTruth = (truth, scale, { populations = {} } = {}) => {
+  checkScale(scale);
+  if (scale === 'natural') return truth;
+  return truth
+    .filter(t => typeof t.observed !== 'number' || scale !== 'per100k' || populations[t.location] > 0)
+    .map(t => (typeof t.observed === 'number'
+      ? { ...t, observed: transformValue(t.observed, scale, populationFor(scale, populations, t.location)) }
+      : t));
+};
@@ -0,0 +1,67 @@
+import { quantilesToIntervals } from './quantiles.js';
+
+// Weighted Interval Score as reported by the forecast hubs (Bracher et al. 2021):
+//   WIS = 1 / (K + 1/2) * ( 1/2 |y - m| + sum_k (alpha_k / 2) * IS_alpha_k )
+// intervals: [{ lower, upper, alpha }]
+//
+// Sign convention (scoringutils): an observation below the lower bound means the
+// forecast was too high -> overprediction; above the upper bound -> underprediction.
+// (alpha / 2) * (2 / alpha) cancels, so each boundary miss costs its raw distance.
+// The median counts as a zero-width interval, so its absolute error is booked the
+// same way and dispersion + overprediction + underprediction === total.
+export const calculateWIS = (observed, median, intervals) => {
+  const norm = intervals.length + 0.5;
+  let dispersion = 0;
+  let overprediction = 0;
+  let underprediction = 0;
+
+  intervals.forEach(({ lower, upper, alpha }) => {
+    dispersion += (alpha / 2) * (upper - lower);
+    if (observed < lower) overprediction += lower - observed;
+    if (observed > upper) underprediction += observed - upper;
+  });
+
+  const absError = Math.abs(observed - median);
+  if (observed < median) overprediction += 0.5 * absError;
+  if (observed > median) underprediction += 0.5 * absError;
+
+  return {
+    total: (dispersion + overprediction + underprediction) / norm,
+    dispersion: dispersion / norm,
+    overprediction: overprediction / norm,
+    underprediction: underprediction / norm,
+    absError,
+    nIntervals: intervals.length,
+  };
+};
+
+// WIS components as calculateWIS returns them, with how the UI names them and
+// which side of the forecast an observation falls on to incur each one.
+// The app labels every breakdown from this list, so labels follow the convention above.
+export const WIS_COMPONENTS = [
+  { key: 'dispersion', label: 'Spread', short: 'Spread', observed: null },
+  { key: 'overprediction', label: 'Overprediction', short: 'Over', observed: 'below' },
+  { key: 'underprediction', label: 'Underprediction', short: 'Under', observed: 'above' },
+];
+
+// Normalized WIS for a full quantile forecast, e.g. the 23 FluSight levels.
+// quantiles: [{ level, value }]; throws if the set is not symmetric/monotone.
+export const scoreQuantiles = (observed, quantiles) => {
+  const { median, intervals } = quantilesToIntervals(quantiles);
+  return calculateWIS(observed, median, intervals);
+};
+
+// Each term's share of the normalized WIS: the median's half absolute error plus
+// one row per interval, split into spread and boundary penalty. The rows' totals
+// add up to calculateWIS(...).total, so a table of them shows where a score comes from.
+export const wisContributions = (observed, median, intervals) => {
+  const norm = intervals.length + 0.5;
+  const rows = intervals.map(({ lower, upper, alpha }) => ({
+    level: 1 - alpha,
+    alpha,
+    spread: (alpha / 2) * (upper - lower) / norm,
+    penalty: (Math.max(0, lower - observed) + Math.max(0, observed - upper)) / norm,
+  }));
+  rows.push({ level: 0, alpha: 1, spread: 0, penalty: 0.5 * Math.abs(observed - median) / norm });
+  return rows.map(r => ({ ...r, total: r.spread + r.penalty }));
+};
@@ -0,0 +1,71 @@
+import { FLUSIGHT_QUANTILE_LEVELS, empiricalQuantile } from '../metrics/index.js';
+import { addDays } from '../data/index.js';
+
+export const BASELINE_MODEL = 'Flat-baseline';
+
+const weeksBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / (7 * 86400000));
+
+// FluSight flat baseline for one series. The median is the last observation
+// before the reference date; other quantiles come from the symmetrized
+// week-to-week differences (each difference d also counted as -d), widened by
+// sqrt(steps ahead) as for a random walk and truncated at zero.
+// series: [{ date, value }] for one location/target
+export const flatBaseline = (series, {
+  reference_date,
+  horizons = [0, 1, 2, 3],
+  levels = FLUSIGHT_QUANTILE_LEVELS,
+  window = null,
+} = {}) => {
+  const past = series
+    .filter(p => p.date < reference_date && Number.isFinite(p.value))
+    .sort((a, b) => a.date.localeCompare(b.date));
+  if (past.length < 2) return [];
+
+  const recent = window ? past.slice(-(window + 1)) : past;
+  const diffs = recent.slice(1).map((p, i) => p.value - recent[i].value);
+  const symmetric = [...diffs, ...diffs.map(d => -d)].sort((a, b) => a - b);
+  const last = past[past.length - 1];
+
+  return horizons.map(horizon => {
+    const target_end_date = addDays(reference_date, 7 * horizon);
+    const scale = Math.sqrt(Math.max(1, weeksBetween(last.date, target_end_date)));
+    return {
+      horizon,
+      target_end_date,
+      quantiles: levels.map(level => ({
+        level,
+        value: Math.max(0, last.value + scale * empiricalQuantile(symmetric, level)),
+      })),
+    };
+  });
+};
+
+// Baseline forecasts for every (reference date, location, target) quantile task in a
+// set of loaded forecasts, built from parsed target data. The result has the
+// same shape as parseModelOutput so it can be scored alongside real models.
+export const baselineForecasts = (forecasts, truth, { model = BASELINE_MODEL, ...options } = {}) => {
+  const tasks = new Map();
+  forecasts.filter(f => f.output_type === 'quantile').forEach(f => {
+    const key = [f.reference_date, f.location, f.target].join('|');
+    if (!tasks.has(key)) tasks.set(key, { reference_date: f.reference_date, location: f.location, target: f.target, horizons: new Set() });
+    tasks.get(key).horizons.add(f.horizon);
+  });
+
+  return [...tasks.values()].flatMap(task => {
+    const series = truth
+      .filter(t => t.location === task.location && (t.target === null || t.target === task.target))
+      .map(t => ({ date: t.target_end_date, value: t.observed }));
+    return flatBaseline(series, {
+      ...options,
+      reference_date: task.reference_date,
+      horizons: [...task.horizons].sort((a, b) => a - b),
+    }).map(f => ({
+      model,
+      reference_date: task.reference_date,
+      target: task.target,
+      location: task.location,
+      output_type: 'quantile',
+      ...f,
+    }));
+  });
+};
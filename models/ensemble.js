@@ -0,0 +1,82 @@
+import { pairwiseComparison } from '../metrics/index.js';
+
+// Ways of combining member quantiles, level by level
+export const ENSEMBLE_METHODS = {
+  mean: 'Quantile mean',
+  median: 'Quantile median',
+  weighted: 'Weighted by past WIS',
+};
+
+const TASK_COLUMNS = ['reference_date', 'target', 'horizon', 'location', 'target_end_date'];
+const levelKey = (level) => Math.round(level * 1e6);
+const sum = (values) => values.reduce((a, b) => a + b, 0);
+
+const median = (values) => {
+  const s = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(s.length / 2);
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+};
+
+// Member weights for forecasts made on a reference date, proportional to
+// 1 / relative WIS over the scores already observable then (target end date
+// before the reference date). Models without a history get the average weight;
+// with no history at all the weights are equal. Returns { model: weight }, summing to 1.
+export const pastWISWeights = (scores, referenceDate, models) => {
+  const past = scores.filter(s => models.includes(s.model) && s.target_end_date < referenceDate);
+  const skill = new Map(pairwiseComparison(past).map(r => [r.model, r.wis_relative_skill]));
+  const raw = models.map(m => (skill.get(m) > 0 ? 1 / skill.get(m) : null));
+  const known = raw.filter(w => w !== null);
+  const fill = known.length > 0 ? sum(known) / known.length : 1;
+  const weights = raw.map(w => (w === null ? fill : w));
+  const total = sum(weights);
+  return Object.fromEntries(models.map((m, i) => [m, weights[i] / total]));
+};
+
+// Combines the quantile forecasts of several models into one model, task by
+// task, at the quantile levels every member submitted for that task.
+// method 'weighted' needs the members' score rows (scores) to derive weights.
+// Returns forecasts shaped like parseModelOutput's, ready to score.
+export const quantileEnsemble = (forecasts, { method = 'mean', models = null, model = null, scores = [] } = {}) => {
+  if (!ENSEMBLE_METHODS[method]) throw new Error(`Unknown ensemble method "${method}"`);
+  const members = forecasts.filter(f => f.output_type === 'quantile' && (!models || models.includes(f.model)));
+  const memberModels = [...new Set(members.map(f => f.model))].sort();
+
+  const tasks = new Map();
+  members.forEach(f => {
+    const key = TASK_COLUMNS.map(c => f[c]).join('|');
+    if (!tasks.has(key)) tasks.set(key, []);
+    tasks.get(key).push(f);
+  });
+
+  const weightsByDate = new Map();
+  const weightsFor = (referenceDate) => {
+    if (!weightsByDate.has(referenceDate)) weightsByDate.set(referenceDate, pastWISWeights(scores, referenceDate, memberModels));
+    return weightsByDate.get(referenceDate);
+  };
+
+  return [...tasks.values()].map(group => {
+    const byLevel = group.map(f => new Map(f.quantiles.map(q => [levelKey(q.level), q])));
+    const levels = group[0].quantiles
+      .map(q => q.level)
+      .filter(level => byLevel.every(m => m.has(levelKey(level))))
+      .sort((a, b) => a - b);
+    const weights = method === 'weighted' ? group.map(f => weightsFor(f.reference_date)[f.model]) : null;
+    const totalWeight = weights ? sum(weights) : null;
+
+    const quantiles = levels.map(level => {
+      const values = byLevel.map(m => m.get(levelKey(level)).value);
+      const value = method === 'median' ? median(values)
+        : method === 'weighted' ? sum(values.map((v, i) => v * weights[i])) / totalWeight
+          : sum(values) / values.length;
+      return { level, value };
+    });
+
+    const first = group[0];
+    return {
+      model: model || `Ensemble-${method}`,
+      ...Object.fromEntries(TASK_COLUMNS.map(c => [c, first[c]])),
+      output_type: 'quantile',
+      quantiles,
+    };
+  });
+};
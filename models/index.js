@@ -0,0 +1,6 @@
+// Forecast generators that produce Hubverse-shaped forecasts from data
+export { BASELINE_MODEL, flatBaseline, baselineForecasts } from './baseline.js';
+export { ENSEMBLE_METHODS, pastWISWeights, quantileEnsemble } from './ensemble.js';
+export { SAMPLE_INTERVAL_LEVELS, sampleQuantileForecasts, sampleTrajectories } from './samples.js';
+export { createRandom } from './random.js';
+export { SIMULATED_MODELS, syntheticEpidemic, simulatedForecasts, simulateReplicates } from './simulate.js';
@@ -0,0 +1,30 @@
+// Seedable pseudo-random numbers (mulberry32), so a simulation can be replayed
+// exactly from its seed. Not for cryptographic use.
+export const createRandom = (seed = 0) => {
+  let state = (Number(seed) >>> 0) ^ 0x9e3779b9;
+  let spare = null;
+
+  const uniform = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  // Standard normal by the Box-Muller transform, keeping the second draw for the next call
+  const normal = () => {
+    if (spare !== null) {
+      const z = spare;
+      spare = null;
+      return z;
+    }
+    const u = 1 - uniform();
+    const v = uniform();
+    const r = Math.sqrt(-2 * Math.log(u));
+    spare = r * Math.sin(2 * Math.PI * v);
+    return r * Math.cos(2 * Math.PI * v);
+  };
+
+  return { uniform, normal };
+};
@@ -0,0 +1,55 @@
+import { FLUSIGHT_QUANTILE_LEVELS, sampleQuantiles } from '../metrics/index.js';
+
+// Central interval levels a sample forecast is summarized at unless others are
+// chosen: the ones FluSight's quantile levels pair into (0.1 to 0.98), so WIS
+// of a sample-based model is comparable with quantile submissions
+export const SAMPLE_INTERVAL_LEVELS = FLUSIGHT_QUANTILE_LEVELS
+  .filter(level => level < 0.5)
+  .map(level => Math.round((1 - 2 * level) * 1e6) / 1e6)
+  .sort((a, b) => a - b);
+
+const TASK_COLUMNS = ['model', 'reference_date', 'target', 'horizon', 'location', 'target_end_date'];
+const taskKey = (f) => TASK_COLUMNS.map(c => f[c]).join('|');
+
+// Quantile forecasts derived from sample forecasts (samples or ensemble
+// trajectories), with empirical quantiles at the bounds of each central
+// interval in `levels` plus the median. Tasks the model also submitted
+// quantiles for keep only the submitted ones. The derived forecasts keep the
+// model name and are marked derived_from: 'sample', so they score and chart
+// like any quantile submission.
+export const sampleQuantileForecasts = (forecasts, { levels = SAMPLE_INTERVAL_LEVELS } = {}) => {
+  const submitted = new Set(forecasts.filter(f => f.output_type === 'quantile').map(taskKey));
+  return forecasts
+    .filter(f => f.output_type === 'sample' && f.samples.length > 0 && !submitted.has(taskKey(f)))
+    .map(({ samples, sample_ids, ...task }) => ({
+      ...task,
+      output_type: 'quantile',
+      derived_from: 'sample',
+      quantiles: sampleQuantiles(samples, levels),
+    }));
+};
+
+// Individual trajectories of sample forecasts: samples sharing an
+// output_type_id across horizons of one model/reference date/location/target
+// are joined into one path. Samples without a partner at another horizon are
+// left out. Returns [{ model, reference_date, location, target, id,
+// points: [{ target_end_date, value }] }] with points in date order.
+export const sampleTrajectories = (forecasts) => {
+  const paths = new Map();
+  forecasts
+    .filter(f => f.output_type === 'sample' && f.sample_ids)
+    .forEach(f => {
+      f.samples.forEach((value, i) => {
+        if (!Number.isFinite(value)) return;
+        const id = f.sample_ids[i];
+        const key = [f.model, f.reference_date, f.location, f.target, id].join('|');
+        if (!paths.has(key)) {
+          paths.set(key, { model: f.model, reference_date: f.reference_date, location: f.location, target: f.target, id, points: [] });
+        }
+        paths.get(key).points.push({ target_end_date: f.target_end_date, value });
+      });
+    });
+  return [...paths.values()]
+    .filter(p => p.points.length > 1)
+    .map(p => ({ ...p, points: p.points.sort((a, b) => a.target_end_date.localeCompare(b.target_end_date)) }));
+};
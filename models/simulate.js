@@ -0,0 +1,106 @@
+import { FLUSIGHT_QUANTILE_LEVELS, normalQuantile, scoreQuantiles, quantilesToIntervals, isInside } from '../metrics/index.js';
+import { addDays } from '../data/index.js';
+import { createRandom } from './random.js';
+
+// Simulated forecasters. Each knows the true epidemic curve up to a forecast
+// error that grows with horizon; they differ in how they report it.
+//   spread: multiplier on the correct predictive standard deviation (log scale)
+//   shift:  log-scale offset of the median (> 0 forecasts too high)
+//   lag:    weeks by which the model's picture of the epidemic runs behind
+export const SIMULATED_MODELS = {
+  calibrated: { label: 'Well-calibrated', spread: 1, shift: 0, lag: 0 },
+  overconfident: { label: 'Overconfident', spread: 0.5, shift: 0, lag: 0 },
+  biased: { label: 'Biased high', spread: 1, shift: 0.25, lag: 0 },
+  lagging: { label: 'Lagging', spread: 1, shift: 0, lag: 1 },
+};
+
+const OBSERVATION_NOISE = 0.1;
+const horizonError = (horizon) => 0.05 * (horizon + 1);
+
+// Smooth epidemic curve with a random peak size and timing, and lognormal
+// reporting noise on each weekly observation.
+// Returns { curve: expected values, series: [{ date, value }] }
+export const syntheticEpidemic = (random, { weeks = 30, start = '2023-10-07', peak = 20000, floor = 500 } = {}) => {
+  const peakWeek = weeks * (0.35 + 0.2 * random.uniform());
+  const height = peak * Math.exp(0.3 * random.normal());
+  const width = weeks * (0.1 + 0.05 * random.uniform());
+  const curve = Array.from({ length: weeks + 4 }, (_, i) => floor + height * Math.exp(-0.5 * ((i - peakWeek) / width) ** 2));
+  const series = curve.slice(0, weeks).map((mu, i) => ({
+    date: addDays(start, 7 * i),
+    value: Math.round(mu * Math.exp(OBSERVATION_NOISE * random.normal())),
+  }));
+  return { curve, series };
+};
+
+// Quantile forecasts from one simulated model for every reference date and
+// horizon with an observation, already joined to it (observed) like joinTargetData.
+export const simulatedForecasts = (random, { curve, series }, model, {
+  horizons = [0, 1, 2, 3],
+  levels = FLUSIGHT_QUANTILE_LEVELS,
+  location = 'US',
+  target = 'wk inc flu hosp',
+} = {}) => {
+  const spec = SIMULATED_MODELS[model];
+  if (!spec) throw new Error(`Unknown simulated model "${model}"`);
+  const z = levels.map(normalQuantile);
+
+  return series.flatMap((ref, t) => horizons.flatMap(horizon => {
+    const i = t + horizon;
+    if (i >= series.length) return [];
+    const seen = curve[Math.max(0, i - spec.lag)];
+    const error = horizonError(horizon);
+    const center = Math.log(seen) + error * random.normal() + spec.shift;
+    const sd = spec.spread * Math.sqrt(OBSERVATION_NOISE ** 2 + error ** 2);
+    return [{
+      model,
+      reference_date: ref.date,
+      target,
+      horizon,
+      location,
+      target_end_date: series[i].date,
+      output_type: 'quantile',
+      quantiles: levels.map((level, k) => ({ level, value: Math.exp(center + sd * z[k]) })),
+      observed: series[i].value,
+    }];
+  }));
+};
+
+// Runs `replicates` independent seasons from one seed and scores every model on
+// each. Returns one row per replicate and model with mean WIS and the
+// 50% / 95% interval coverage, e.g. to see how much they vary from season to season.
+export const simulateReplicates = ({
+  seed = 1,
+  replicates = 100,
+  weeks = 20,
+  models = Object.keys(SIMULATED_MODELS),
+  horizons = [0, 1, 2, 3],
+} = {}) => {
+  const random = createRandom(seed);
+  const rows = [];
+  for (let r = 0; r < replicates; r++) {
+    const epidemic = syntheticEpidemic(random, { weeks: weeks + Math.max(...horizons) });
+    models.forEach(model => {
+      const forecasts = simulatedForecasts(random, epidemic, model, { horizons })
+        .filter(f => f.reference_date <= epidemic.series[weeks - 1].date);
+      let wis = 0;
+      const hits = { 50: 0, 95: 0 };
+      forecasts.forEach(f => {
+        wis += scoreQuantiles(f.observed, f.quantiles).total;
+        quantilesToIntervals(f.quantiles).intervals.forEach(({ level, lower, upper }) => {
+          const key = Math.round(level * 100);
+          if (key in hits && isInside(f.observed, lower, upper)) hits[key] += 1;
+        });
+      });
+      const n = forecasts.length;
+      rows.push({
+        replicate: r,
+        model,
+        n,
+        wis: wis / n,
+        interval_coverage_50: hits[50] / n,
+        interval_coverage_95: hits[95] / n,
+      });
+    });
+  }
+  return rows;
+};
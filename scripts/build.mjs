@@ -0,0 +1,84 @@
+// Builds index.html, the deployable page, from ForecastMetricsV3.jsx. The app,
+// the metrics/data/models libraries, React, Recharts and the IBM Plex fonts are
+// all inlined, so the page is one file that needs no server and no network.
+// With --check nothing is written; it exits 1 if index.html is out of date.
+import { build } from 'esbuild';
+import { readFile, writeFile } from 'node:fs/promises';
+import { createRequire } from 'node:module';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const require = createRequire(import.meta.url);
+
+// [family, @fontsource package, weights]: the weights ForecastMetricsV3.jsx uses
+const FONTS = [
+  ['IBM Plex Sans', 'ibm-plex-sans', [400, 500, 600, 700]],
+  ['IBM Plex Mono', 'ibm-plex-mono', [400, 500]],
+];
+
+const fontFaces = async () => {
+  const faces = [];
+  for (const [family, pkg, weights] of FONTS) {
+    const dir = path.join(path.dirname(require.resolve(`@fontsource/${pkg}/package.json`)), 'files');
+    for (const weight of weights) {
+      const font = await readFile(path.join(dir, `${pkg}-latin-${weight}-normal.woff2`));
+      faces.push(`@font-face { font-family: '${family}'; font-style: normal; font-weight: ${weight}; font-display: swap; `
+        + `src: url(data:font/woff2;base64,${font.toString('base64')}) format('woff2'); }`);
+    }
+  }
+  return faces.join('\n    ');
+};
+
+const bundle = async () => {
+  const { outputFiles } = await build({
+    entryPoints: [path.join(root, 'main.jsx')],
+    bundle: true,
+    minify: true,
+    write: false,
+    format: 'iife',
+    target: 'es2019',
+    define: { 'process.env.NODE_ENV': '"production"' },
+    logLevel: 'warning',
+  });
+  // The bundle goes inside a <script> element, which must not see its own end tag
+  return outputFiles[0].text.replace(/<\/script/gi, '<\\/script');
+};
+
+const page = (css, js) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Forecast Evaluation Metrics | EPISTORM</title>
+  <meta name="description" content="Technical documentation for understanding WIS, coverage, and prediction intervals in epidemic forecasting">
+  <!-- Generated by \`npm run build\` from ForecastMetricsV3.jsx. Edit the source, not this file. -->
+  <style>
+    ${css}
+    * { box-sizing: border-box; margin: 0; padding: 0; }
+    body { font-family: 'IBM Plex Sans', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; }
+  </style>
+</head>
+<body>
+  <div id="root"></div>
+  <script>${js}</script>
+</body>
+</html>
+`;
+
+const [css, js] = await Promise.all([fontFaces(), bundle()]);
+const html = page(css, js);
+const out = path.join(root, 'index.html');
+
+if (process.argv.includes('--check')) {
+  const current = await readFile(out, 'utf8').catch(() => '');
+  if (current !== html) {
+    console.error('index.html is out of date with ForecastMetricsV3.jsx; run npm run build and commit it');
+    process.exitCode = 1;
+  } else {
+    console.log('index.html is up to date');
+  }
+} else {
+  await writeFile(out, html);
+  console.log(`Wrote index.html (${Math.round(Buffer.byteLength(html) / 1024)} kB)`);
+}
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FLUSIGHT_QUANTILE_LEVELS, validateQuantiles } from '../metrics/index.js';
+import { BASELINE_MODEL, flatBaseline, baselineForecasts } from '../models/index.js';
+
+const close = (actual, expected, tolerance = 1e-9) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected}, got ${actual}`);
+};
+
+const series = [
+  { date: '2024-11-02', value: 10 },
+  { date: '2024-11-09', value: 20 },
+  { date: '2024-11-16', value: 15 },
+  { date: '2024-11-23', value: 25 },
+  { date: '2024-11-30', value: 1000 },
+];
+
+const valueAt = (forecast, level) => forecast.quantiles.find(q => q.level === level).value;
+
+test('flatBaseline is centred on the last observation before the reference date', () => {
+  const forecasts = flatBaseline(series, { reference_date: '2024-11-30' });
+  assert.deepEqual(forecasts.map(f => [f.horizon, f.target_end_date]),
+    [[0, '2024-11-30'], [1, '2024-12-07'], [2, '2024-12-14'], [3, '2024-12-21']]);
+  forecasts.forEach(f => {
+    assert.equal(valueAt(f, 0.5), 25);
+    assert.deepEqual(f.quantiles.map(q => q.level), FLUSIGHT_QUANTILE_LEVELS);
+    assert.doesNotThrow(() => validateQuantiles(f.quantiles));
+  });
+});
+
+test('flatBaseline quantiles are symmetric and widen with sqrt(steps ahead)', () => {
+  // differences 10, -5, 10 symmetrized: -10 -10 -5 5 10 10
+  const [h0, , , h3] = flatBaseline(series, { reference_date: '2024-11-30' });
+  FLUSIGHT_QUANTILE_LEVELS.filter(level => level < 0.5).forEach(level => {
+    const upper = FLUSIGHT_QUANTILE_LEVELS.find(l => Math.abs(l - (1 - level)) < 1e-9);
+    close(valueAt(h0, level) + valueAt(h0, upper), 50);
+    // one week to horizon 0, four weeks to horizon 3
+    close(valueAt(h3, upper) - 25, 2 * (valueAt(h0, upper) - 25));
+  });
+  close(valueAt(h0, 0.75), 25 + 8.75);
+});
+
+test('flatBaseline truncates at zero and needs two observations', () => {
+  const falling = [{ date: '2024-11-02', value: 100 }, { date: '2024-11-09', value: 5 }];
+  const [f] = flatBaseline(falling, { reference_date: '2024-11-16', horizons: [0] });
+  assert.equal(valueAt(f, 0.01), 0);
+  assert.deepEqual(flatBaseline(falling.slice(1), { reference_date: '2024-11-16' }), []);
+});
+
+test('baselineForecasts covers the quantile tasks of the loaded forecasts', () => {
+  const forecasts = [0, 2].map(horizon => ({
+    model: 'teamA', reference_date: '2024-11-30', target: 'wk inc flu hosp', horizon, location: '06', output_type: 'quantile', quantiles: [],
+  }));
+  const truth = series.map(p => ({ target_end_date: p.date, location: '06', target: null, observed: p.value }));
+  const baseline = baselineForecasts(forecasts, truth);
+  assert.deepEqual(baseline.map(f => [f.model, f.location, f.target, f.horizon, f.output_type]), [
+    [BASELINE_MODEL, '06', 'wk inc flu hosp', 0, 'quantile'],
+    [BASELINE_MODEL, '06', 'wk inc flu hosp', 2, 'quantile'],
+  ]);
+});
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { quantileBias } from '../metrics/index.js';
+
+const quantiles = [
+  { level: 0.1, value: 60 }, { level: 0.25, value: 80 }, { level: 0.5, value: 100 },
+  { level: 0.75, value: 120 }, { level: 0.9, value: 140 },
+];
+
+test('bias is 0 when the observation is the median', () => {
+  assert.equal(quantileBias(100, quantiles), 0);
+});
+
+test('bias is positive when the forecast is too high', () => {
+  // y = 90: 1 - 2 * 0.25
+  assert.equal(quantileBias(90, quantiles), 0.5);
+  assert.ok(Math.abs(quantileBias(60, quantiles) - 0.8) < 1e-12);
+});
+
+test('bias is negative when the forecast is too low', () => {
+  // y = 130: 1 - 2 * 0.9
+  assert.ok(Math.abs(quantileBias(130, quantiles) + 0.8) < 1e-12);
+  assert.equal(quantileBias(110, quantiles), -0.5);
+});
+
+test('bias reaches -1 and 1 beyond the outermost quantiles', () => {
+  assert.equal(quantileBias(10, quantiles), 1);
+  assert.equal(quantileBias(500, quantiles), -1);
+});
@@ -0,0 +1,38 @@
+// p-values and quantiles as given by R's binom.test and qbinom
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { binomialPmf, binomialQuantile, binomialTest, calibrationBand } from '../metrics/index.js';
+
+const close = (actual, expected, tolerance = 1e-9) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected}, got ${actual}`);
+};
+
+test('binomialPmf matches the closed form', () => {
+  close(binomialPmf(3, 10, 0.5), 120 / 1024);
+  assert.equal(binomialPmf(0, 5, 0), 1);
+  assert.equal(binomialPmf(5, 5, 1), 1);
+  assert.equal(binomialPmf(4, 5, 1), 0);
+});
+
+test('binomialTest gives the two-sided exact p-value', () => {
+  // binom.test(7, 10, 0.5): P(X <= 3) + P(X >= 7) = 352 / 1024
+  close(binomialTest(7, 10, 0.5), 0.34375);
+  close(binomialTest(18, 20, 0.5), 0.0004024505615234375, 1e-12);
+  // asymmetric: binom.test(45, 50, 0.95)
+  close(binomialTest(45, 50, 0.95), 0.10361681014414383);
+  assert.equal(binomialTest(5, 10, 0.5), 1);
+  assert.equal(binomialTest(0, 0, 0.5), 1);
+});
+
+test('binomialQuantile matches qbinom', () => {
+  assert.equal(binomialQuantile(0.025, 100, 0.5), 40);
+  assert.equal(binomialQuantile(0.975, 100, 0.5), 60);
+  assert.equal(binomialQuantile(0.025, 100, 0.95), 90);
+  assert.equal(binomialQuantile(0.975, 100, 0.95), 99);
+});
+
+test('calibrationBand is the central binomial range as a coverage', () => {
+  assert.deepEqual(calibrationBand(100, 0.95), [0.9, 0.99]);
+  assert.deepEqual(calibrationBand(100, 0.5), [0.4, 0.6]);
+  assert.deepEqual(calibrationBand(0, 0.5), [0, 1]);
+});
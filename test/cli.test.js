@@ -0,0 +1,76 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { mkdtempSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseCSV } from '../data/index.js';
+
+const CLI = fileURLToPath(new URL('../bin/epi-metrics.js', import.meta.url));
+
+let dir;
+const file = (name) => path.join(dir, name);
+const run = (...args) => spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8', timeout: 30000 });
+
+before(() => {
+  dir = mkdtempSync(path.join(tmpdir(), 'epi-metrics-'));
+  mkdirSync(file('model-output'));
+  writeFileSync(file('model-output/2024-11-23-teamA.csv'), `reference_date,target,horizon,location,output_type,output_type_id,value
+2024-11-23,wk inc flu hosp,0,06,quantile,0.25,80
+2024-11-23,wk inc flu hosp,0,06,quantile,0.5,100
+2024-11-23,wk inc flu hosp,0,06,quantile,0.75,120
+2024-11-23,wk inc flu hosp,1,06,quantile,0.25,80
+2024-11-23,wk inc flu hosp,1,06,quantile,0.5,100
+2024-11-23,wk inc flu hosp,1,06,quantile,0.75,120
+`);
+  writeFileSync(file('target-data.csv'), 'date,location,value\n2024-11-23,06,110\n');
+});
+
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+test('score writes a CSV of scores and warns about forecasts without an observation', () => {
+  const { status, stdout, stderr } = run('score', '--forecasts', file('model-output'), '--truth', file('target-data.csv'));
+  assert.equal(status, 0, stderr);
+  const rows = parseCSV(stdout);
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0].model, 'teamA');
+  assert.equal(rows[0].location, '06');
+  // (1/2 * 10 + 0.25 * 40) / 1.5
+  assert.equal(Number(rows[0].wis), 10);
+  assert.match(stderr, /^epi-metrics: 1 forecast\(s\) have no observation in .*target-data\.csv and were not scored$/m);
+});
+
+test('score averages over --by and writes JSON to --out', () => {
+  const out = file('scores.json');
+  const { status, stderr } = run('score', '--forecasts', file('model-output'), '--truth', file('target-data.csv'), '--by', 'model', '--out', out);
+  assert.equal(status, 0, stderr);
+  assert.match(stderr, /Wrote 1 row\(s\) from 1 scored forecast\(s\)/);
+  const [row] = JSON.parse(readFileSync(out, 'utf8'));
+  assert.equal(row.model, 'teamA');
+  assert.equal(row.n, 1);
+  assert.equal(row.wis, 10);
+});
+
+test('bad arguments exit with status 1 and a message on stderr', () => {
+  const cases = [
+    [['score', '--forecasts', file('model-output')], /--forecasts and --truth are required/],
+    [['score', '--forecasts', file('model-output'), '--truth', file('target-data.csv'), '--scale', 'x'], /unknown scale "x"; use natural, log, per100k/],
+    [['score', '--forecasts', file('model-output'), '--truth', file('target-data.csv'), '--by', 'team'], /cannot group by team/],
+    [['score', '--forecasts', file('missing'), '--truth', file('target-data.csv')], /missing: no such file or directory/],
+    [['rank'], /unknown command "rank"/],
+  ];
+  cases.forEach(([args, message]) => {
+    const { status, stdout, stderr } = run(...args);
+    assert.equal(status, 1, args.join(' '));
+    assert.match(stderr, /^epi-metrics: /);
+    assert.match(stderr, message);
+    if (args[0] === 'score') assert.equal(stdout, '');
+  });
+});
+
+test('--help prints the usage', () => {
+  const { status, stdout } = run('score', '--help');
+  assert.equal(status, 0);
+  assert.match(stdout, /^Usage: epi-metrics score/);
+});
@@ -0,0 +1,20 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { intervalCoverage } from '../metrics/index.js';
+
+test('coverage counts observations inside each interval, bounds included', () => {
+  const records = [
+    { observed: 5, lower: 2, upper: 8 },
+    { observed: 2, lower: 2, upper: 8 },
+    { observed: 8, lower: 2, upper: 8 },
+    { observed: 1, lower: 2, upper: 8 },
+    { observed: 9, lower: 2, upper: 8 },
+  ];
+  assert.deepEqual(intervalCoverage(records), { n: 5, hits: 3, below: 1, above: 1, coverage: 0.6 });
+});
+
+test('coverage of no records is NaN', () => {
+  const result = intervalCoverage([]);
+  assert.equal(result.n, 0);
+  assert.ok(Number.isNaN(result.coverage));
+});
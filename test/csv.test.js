@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCSV, formatCSV } from '../data/index.js';
+
+test('parseCSV keys rows by the header and trims fields', () => {
+  assert.deepEqual(parseCSV('location, value\n06, 12\n36,7\n'), [
+    { location: '06', value: '12' },
+    { location: '36', value: '7' },
+  ]);
+});
+
+test('parseCSV reads quoted fields with commas, quotes and line breaks', () => {
+  const rows = parseCSV('model,note\n"a,b","say ""hi"""\nc,"two\nlines"\n');
+  assert.deepEqual(rows, [
+    { model: 'a,b', note: 'say "hi"' },
+    { model: 'c', note: 'two\nlines' },
+  ]);
+});
+
+test('parseCSV handles CRLF, a byte-order mark, blank lines and short rows', () => {
+  assert.deepEqual(parseCSV('\ufeffa,b\r\n1,2\r\n\r\n3\r\n'), [{ a: '1', b: '2' }, { a: '3', b: '' }]);
+  assert.deepEqual(parseCSV('a,b\n1,2'), [{ a: '1', b: '2' }]);
+  assert.deepEqual(parseCSV(''), []);
+});
+
+test('formatCSV quotes what parseCSV unquotes', () => {
+  const rows = [{ model: 'a,b', note: 'say "hi"', wis: 1.5 }, { model: 'c', note: null, wis: NaN }];
+  const text = formatCSV(rows, ['model', 'note', 'wis']);
+  assert.equal(text, 'model,note,wis\n"a,b","say ""hi""",1.5\nc,,\n');
+  assert.deepEqual(parseCSV(text), [{ model: 'a,b', note: 'say "hi"', wis: '1.5' }, { model: 'c', note: '', wis: '' }]);
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateQuantiles } from '../metrics/index.js';
+import { pastWISWeights, quantileEnsemble } from '../models/index.js';
+
+const close = (actual, expected, tolerance = 1e-9) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected}, got ${actual}`);
+};
+
+const task = { reference_date: '2024-11-30', target: 'wk inc flu hosp', horizon: 0, location: '06', target_end_date: '2024-11-30' };
+const member = (model, values, levels = [0.25, 0.5, 0.75]) => ({
+  model, ...task, output_type: 'quantile', quantiles: levels.map((level, i) => ({ level, value: values[i] })),
+});
+
+const members = [
+  member('A', [80, 100, 120]),
+  member('B', [90, 110, 150]),
+  member('C', [40, 60, 70, 500], [0.25, 0.5, 0.75, 0.9]),
+];
+
+test('mean and median ensembles combine members level by level', () => {
+  const [mean] = quantileEnsemble(members);
+  assert.equal(mean.model, 'Ensemble-mean');
+  assert.deepEqual(mean.quantiles, [{ level: 0.25, value: 70 }, { level: 0.5, value: 90 }, { level: 0.75, value: 340 / 3 }]);
+  const [median] = quantileEnsemble(members, { method: 'median', model: 'Median' });
+  assert.equal(median.model, 'Median');
+  assert.deepEqual(median.quantiles.map(q => q.value), [80, 100, 120]);
+});
+
+test('ensembles keep only the levels every member submitted and stay monotone', () => {
+  const [mean] = quantileEnsemble(members);
+  assert.deepEqual(mean.quantiles.map(q => q.level), [0.25, 0.5, 0.75]);
+  assert.doesNotThrow(() => validateQuantiles(mean.quantiles));
+  assert.deepEqual(Object.keys(mean), ['model', ...Object.keys(task), 'output_type', 'quantiles']);
+});
+
+test('ensembles can be limited to some models, and reject unknown methods', () => {
+  const [mean] = quantileEnsemble(members, { models: ['A', 'B'] });
+  assert.deepEqual(mean.quantiles.map(q => q.value), [85, 105, 135]);
+  assert.throws(() => quantileEnsemble(members, { method: 'mode' }), /Unknown ensemble method "mode"/);
+});
+
+const past = (model, location, wis) => ({
+  model, reference_date: '2024-11-02', target: 'wk inc flu hosp', horizon: 0, location, target_end_date: '2024-11-02', wis,
+});
+const scores = [past('A', '06', 1), past('A', '36', 1), past('B', '06', 2), past('B', '36', 2)];
+
+test('pastWISWeights are proportional to 1 / relative WIS', () => {
+  // relative skill: A sqrt(1 * 1/2), B sqrt(2 * 1)
+  const weights = pastWISWeights(scores, '2024-11-30', ['A', 'B']);
+  close(weights.A, 2 / 3);
+  close(weights.B, 1 / 3);
+});
+
+test('pastWISWeights only use scores observable on the reference date', () => {
+  assert.deepEqual(pastWISWeights(scores, '2024-11-02', ['A', 'B']), { A: 0.5, B: 0.5 });
+  // C has no history and gets the average weight
+  const weights = pastWISWeights(scores, '2024-11-30', ['A', 'B', 'C']);
+  close(weights.C, 1 / 3);
+  close(weights.A + weights.B + weights.C, 1);
+});
+
+test('the weighted ensemble uses past WIS weights', () => {
+  const [weighted] = quantileEnsemble(members, { method: 'weighted', models: ['A', 'B'], scores });
+  assert.equal(weighted.model, 'Ensemble-weighted');
+  weighted.quantiles.forEach((q, i) => {
+    close(q.value, (2 / 3) * members[0].quantiles[i].value + (1 / 3) * members[1].quantiles[i].value);
+  });
+});
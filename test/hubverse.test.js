@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCSV, parseModelOutput, parseTargetData, joinTargetData, modelFromFilename, addDays } from '../data/index.js';
+
+const modelOutput = `reference_date,target,horizon,location,output_type,output_type_id,value
+2024-11-23,wk inc flu hosp,0,6,quantile,0.25,80
+2024-11-23,wk inc flu hosp,0,6,quantile,0.5,100
+2024-11-23,wk inc flu hosp,0,6,quantile,0.75,120
+2024-11-23,wk inc flu hosp,1,6,sample,s1,90
+2024-11-23,wk inc flu hosp,1,6,sample,s2,110
+2024-11-23,wk flu hosp rate change,0,6,pmf,stable,0.7
+2024-11-23,wk flu hosp rate change,0,6,pmf,increase,0.3
+2024-11-23,wk inc flu hosp,0,6,mean,,101
+`;
+
+test('parseModelOutput routes rows to quantile, sample and pmf forecasts', () => {
+  const forecasts = parseModelOutput(parseCSV(modelOutput), { model: 'teamA' });
+  assert.deepEqual(forecasts.map(f => f.output_type), ['quantile', 'sample', 'pmf']);
+  const [quantile, sample, pmf] = forecasts;
+  assert.deepEqual(quantile, {
+    model: 'teamA', reference_date: '2024-11-23', target: 'wk inc flu hosp', horizon: 0, location: '06',
+    target_end_date: '2024-11-23', output_type: 'quantile',
+    quantiles: [{ level: 0.25, value: 80 }, { level: 0.5, value: 100 }, { level: 0.75, value: 120 }],
+  });
+  assert.equal(sample.target_end_date, '2024-11-30');
+  assert.deepEqual(sample.samples, [90, 110]);
+  assert.deepEqual(sample.sample_ids, ['s1', 's2']);
+  assert.deepEqual(pmf.pmf, [{ category: 'stable', probability: 0.7 }, { category: 'increase', probability: 0.3 }]);
+});
+
+test('parseModelOutput prefers a model_id column and checks the columns', () => {
+  const rows = parseCSV(modelOutput).map(r => ({ ...r, model_id: 'teamB' }));
+  assert.ok(parseModelOutput(rows, { model: 'teamA' }).every(f => f.model === 'teamB'));
+  assert.throws(() => parseModelOutput(parseCSV('reference_date,target\n2024-11-23,x\n')), /missing column\(s\): horizon/);
+  assert.throws(() => parseModelOutput([]), /no rows/);
+});
+
+test('parseTargetData reads time-series and oracle files', () => {
+  assert.deepEqual(parseTargetData(parseCSV('date,location,value\n2024-11-23,6,120\n2024-11-30,6,NA\n')), [
+    { target_end_date: '2024-11-23', location: '06', target: null, observed: 120 },
+  ]);
+  const oracle = parseTargetData(parseCSV(`target_end_date,location,target,output_type,output_type_id,oracle_value
+2024-11-23,06,wk flu hosp rate change,pmf,stable,0
+2024-11-23,06,wk flu hosp rate change,pmf,increase,1
+2024-11-23,06,wk inc flu hosp,quantile,,130
+`));
+  assert.deepEqual(oracle.map(t => [t.target, t.observed]), [['wk flu hosp rate change', 'increase'], ['wk inc flu hosp', 130]]);
+  assert.throws(() => parseTargetData(parseCSV('week,count\n1,2\n')), /needs a date/);
+});
+
+test('joinTargetData matches on target, falling back to rows without one', () => {
+  const forecasts = parseModelOutput(parseCSV(modelOutput), { model: 'teamA' });
+  const truth = [
+    { target_end_date: '2024-11-23', location: '06', target: null, observed: 120 },
+    { target_end_date: '2024-11-23', location: '06', target: 'wk flu hosp rate change', observed: 'increase' },
+  ];
+  const { matched, unmatched } = joinTargetData(forecasts, truth);
+  assert.deepEqual(matched.map(f => [f.output_type, f.observed]), [['quantile', 120], ['pmf', 'increase']]);
+  assert.deepEqual(unmatched.map(f => f.output_type), ['sample']);
+});
+
+test('file names and dates', () => {
+  assert.equal(modelFromFilename('model-output/teamA/2024-11-23-FluSight-baseline.csv'), 'FluSight-baseline');
+  assert.equal(modelFromFilename('teamA.csv'), 'teamA');
+  assert.equal(addDays('2024-12-28', 7), '2025-01-04');
+  assert.equal(addDays('2024-03-02', -7), '2024-02-24');
+});
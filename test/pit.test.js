@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { pitValue, pitValues, pitHistogram, diagnosePIT } from '../metrics/index.js';
+
+const close = (actual, expected, tolerance = 1e-9) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected}, got ${actual}`);
+};
+
+const quantiles = [
+  { level: 0.1, value: 60 }, { level: 0.25, value: 80 }, { level: 0.5, value: 100 },
+  { level: 0.75, value: 120 }, { level: 0.9, value: 140 },
+];
+
+test('pitValue interpolates the forecast CDF between quantiles', () => {
+  close(pitValue(100, quantiles), 0.5);
+  close(pitValue(90, quantiles), 0.375);
+  close(pitValue(130, quantiles), 0.825);
+});
+
+test('pitValue uses the middle of the tail beyond the outermost quantiles', () => {
+  close(pitValue(10, quantiles), 0.05);
+  close(pitValue(500, quantiles), 0.95);
+});
+
+test('pitValue gives a flat stretch the middle of its levels', () => {
+  const zeros = [{ level: 0.25, value: 0 }, { level: 0.5, value: 0 }, { level: 0.75, value: 4 }];
+  close(pitValue(0, zeros), 0.375);
+});
+
+test('pitValues reads each forecast', () => {
+  assert.deepEqual(pitValues([{ observed: 100, quantiles }, { observed: 10, quantiles }]), [0.5, 0.05]);
+});
+
+test('pitHistogram counts values into equal bins with density 1 for uniform', () => {
+  const pits = Array.from({ length: 100 }, (_, i) => (i + 0.5) / 100);
+  const bins = pitHistogram(pits, 5);
+  assert.deepEqual(bins.map(b => b.count), [20, 20, 20, 20, 20]);
+  assert.ok(bins.every(b => b.density === 1));
+  assert.deepEqual(bins[0], { bin_start: 0, bin_end: 0.2, count: 20, density: 1 });
+  assert.equal(pitHistogram([1], 4)[3].count, 1);
+  assert.ok(pitHistogram([], 4).every(b => b.density === 0));
+});
+
+const spread = (n, f) => Array.from({ length: n }, (_, i) => f((i + 0.5) / n));
+
+test('diagnosePIT finds nothing in a uniform sample', () => {
+  const d = diagnosePIT(spread(200, u => u));
+  assert.equal(d.bias, null);
+  assert.equal(d.dispersion, null);
+  close(d.mean, 0.5);
+});
+
+test('a U-shaped PIT histogram means intervals are too narrow', () => {
+  // mass piled up near 0 and 1
+  const d = diagnosePIT(spread(200, u => (u < 0.5 ? u / 5 : 1 - (1 - u) / 5)));
+  assert.equal(d.dispersion, 'too-narrow');
+  assert.equal(d.bias, null);
+});
+
+test('a hump-shaped PIT histogram means intervals are too wide', () => {
+  const d = diagnosePIT(spread(200, u => 0.4 + u / 5));
+  assert.equal(d.dispersion, 'too-wide');
+  assert.equal(d.bias, null);
+});
+
+test('PIT values skewed high mean underprediction', () => {
+  assert.equal(diagnosePIT(spread(200, u => Math.sqrt(u))).bias, 'under');
+  assert.equal(diagnosePIT(spread(200, u => u * u)).bias, 'over');
+  assert.equal(diagnosePIT([]).bias, null);
+});
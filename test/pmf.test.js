@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RATE_CHANGE_CATEGORIES, validatePmf, logScorePmf, rankedProbabilityScore } from '../metrics/index.js';
+
+const close = (actual, expected, tolerance = 1e-9) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected}, got ${actual}`);
+};
+
+const pmf = (probabilities) => probabilities.map((probability, i) => ({ category: RATE_CHANGE_CATEGORIES[i], probability }));
+
+test('validatePmf rejects empty, negative and non-normalized forecasts', () => {
+  assert.throws(() => validatePmf([]), /empty/);
+  assert.throws(() => validatePmf(pmf([-0.1, 0.6, 0.5])), /large_decrease has an invalid probability/);
+  assert.throws(() => validatePmf(pmf([0.2, 0.2])), /sum to 0\.4000, not 1/);
+  assert.doesNotThrow(() => validatePmf(pmf([0.3333, 0.3333, 0.3334])));
+});
+
+test('logScorePmf is minus the log probability of the observed category', () => {
+  close(logScorePmf('stable', pmf([0.05, 0.15, 0.5, 0.25, 0.05])), Math.log(2));
+});
+
+test('logScorePmf is infinite when the observed category has no probability', () => {
+  assert.equal(logScorePmf('large_increase', pmf([0.5, 0.5, 0, 0, 0])), Infinity);
+  assert.equal(logScorePmf('large_increase', pmf([0.5, 0.5])), Infinity);
+});
+
+test('RPS is the unnormalized sum of scoringutils rps_ordinal', () => {
+  // cumulative forecast .05 .2 .7 .95 1 against 0 0 0 1 1:
+  // .05^2 + .2^2 + .7^2 + .05^2 = .535 (rps_ordinal does not divide by K - 1)
+  close(rankedProbabilityScore('increase', pmf([0.05, 0.15, 0.5, 0.25, 0.05]), RATE_CHANGE_CATEGORIES), 0.535);
+});
+
+test('RPS ranges from 0 to K - 1', () => {
+  assert.equal(rankedProbabilityScore('stable', pmf([0, 0, 1, 0, 0]), RATE_CHANGE_CATEGORIES), 0);
+  assert.equal(rankedProbabilityScore('large_increase', pmf([1, 0, 0, 0, 0]), RATE_CHANGE_CATEGORIES), 4);
+});
+
+test('RPS rejects an observation outside the categories', () => {
+  assert.throws(() => rankedProbabilityScore('flat', pmf([0, 0, 1, 0, 0]), RATE_CHANGE_CATEGORIES), /flat is not one of/);
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  FLUSIGHT_QUANTILE_LEVELS, validateQuantiles, quantilesToIntervals, intervalsToQuantiles, scoreQuantiles,
+  calculateWIS, empiricalQuantile,
+} from '../metrics/index.js';
+
+const flusight = FLUSIGHT_QUANTILE_LEVELS.map((level, i) => ({ level, value: 100 + 10 * i }));
+
+test('validateQuantiles sorts by level and parses strings', () => {
+  const sorted = validateQuantiles([
+    { level: '0.75', value: '130' }, { level: '0.5', value: '110' }, { level: '0.25', value: '90' },
+  ]);
+  assert.deepEqual(sorted, [{ level: 0.25, value: 90 }, { level: 0.5, value: 110 }, { level: 0.75, value: 130 }]);
+});
+
+test('validateQuantiles rejects sets that cannot be scored', () => {
+  const q = (pairs) => pairs.map(([level, value]) => ({ level, value }));
+  assert.throws(() => validateQuantiles([]), /empty/);
+  assert.throws(() => validateQuantiles(q([[0.25, 1], [0.75, 3]])), /no median/);
+  assert.throws(() => validateQuantiles(q([[0.25, 1], [0.5, 2], [0.9, 3]])), /0\.25 has no symmetric partner 0\.75/);
+  assert.throws(() => validateQuantiles(q([[0.5, 2], [0.5, 2]])), /appears more than once/);
+  assert.throws(() => validateQuantiles(q([[0.25, 5], [0.5, 2], [0.75, 3]])), /not monotone: level 0\.5 \(2\) is below level 0\.25 \(5\)/);
+  assert.throws(() => validateQuantiles(q([[0, 1], [0.5, 2], [1, 3]])), /outside \(0, 1\)/);
+  assert.throws(() => validateQuantiles(q([[0.5, 'NA']])), /non-numeric/);
+});
+
+test('scoreQuantiles passes validation errors on', () => {
+  assert.throws(() => scoreQuantiles(10, [{ level: 0.25, value: 1 }, { level: 0.75, value: 3 }]), /no median/);
+});
+
+test('the 23 FluSight levels pair into 11 central intervals', () => {
+  const { median, intervals } = quantilesToIntervals(flusight);
+  assert.equal(median, 210);
+  assert.deepEqual(intervals.map(i => i.level), [0.98, 0.95, 0.9, 0.8, 0.7, 0.6, 0.5, 0.4, 0.3, 0.2, 0.1]);
+  assert.deepEqual(intervals[0], { lower: 100, upper: 320, alpha: 0.02, level: 0.98 });
+  assert.deepEqual(intervals.at(-1), { lower: 200, upper: 220, alpha: 0.9, level: 0.1 });
+});
+
+test('scoreQuantiles scores the paired intervals with calculateWIS', () => {
+  const { median, intervals } = quantilesToIntervals(flusight);
+  assert.deepEqual(scoreQuantiles(250, flusight), calculateWIS(250, median, intervals));
+  assert.equal(scoreQuantiles(250, flusight).nIntervals, 11);
+});
+
+test('intervalsToQuantiles inverts quantilesToIntervals', () => {
+  const { median, intervals } = quantilesToIntervals(flusight);
+  const back = intervalsToQuantiles(median, intervals);
+  assert.deepEqual(back.map(q => q.value), flusight.map(q => q.value));
+  back.forEach((q, i) => assert.ok(Math.abs(q.level - flusight[i].level) < 1e-12));
+});
+
+test('empiricalQuantile interpolates between order statistics', () => {
+  assert.equal(empiricalQuantile([1, 2, 3, 4], 0.5), 2.5);
+  assert.equal(empiricalQuantile([1, 2, 3, 4], 0), 1);
+  assert.equal(empiricalQuantile([1, 2, 3, 4], 1), 4);
+  assert.ok(Number.isNaN(empiricalQuantile([], 0.5)));
+});
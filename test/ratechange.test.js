@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RATE_CHANGE_THRESHOLDS, rateChangeCategory, joinRateChanges } from '../metrics/index.js';
+
+test('rateChangeCategory applies the thresholds of each horizon', () => {
+  Object.entries(RATE_CHANGE_THRESHOLDS).forEach(([horizon, { stable, large }]) => {
+    const h = Number(horizon);
+    assert.equal(rateChangeCategory(100, stable * 0.99, h), 'stable');
+    assert.equal(rateChangeCategory(100, stable, h), 'increase');
+    assert.equal(rateChangeCategory(-100, -stable, h), 'decrease');
+    assert.equal(rateChangeCategory(100, large * 0.99, h), 'increase');
+    assert.equal(rateChangeCategory(100, large, h), 'large_increase');
+    assert.equal(rateChangeCategory(-100, -large, h), 'large_decrease');
+  });
+});
+
+test('changes of fewer than 10 admissions are stable whatever the rate', () => {
+  assert.equal(rateChangeCategory(9, 50, 0), 'stable');
+  assert.equal(rateChangeCategory(-9, -50, 0), 'stable');
+  assert.equal(rateChangeCategory(10, 50, 0), 'large_increase');
+});
+
+test('rateChangeCategory rejects horizons without thresholds', () => {
+  assert.throws(() => rateChangeCategory(100, 5, 4), /horizon 4/);
+});
+
+const forecast = (location, horizon, target_end_date) => ({
+  model: 'teamA', reference_date: '2024-11-09', target: 'wk flu hosp rate change', horizon, location, target_end_date,
+  output_type: 'pmf', pmf: [{ category: 'stable', value: 1 }],
+});
+
+// One million residents: 10 admissions are 1 per 100k
+const populations = { '06': 1e6, '36': 1e6 };
+const truth = [
+  { location: '06', target_end_date: '2024-11-02', target: 'wk inc flu hosp', observed: 100 },
+  { location: '06', target_end_date: '2024-11-09', target: 'wk inc flu hosp', observed: 120 },
+  { location: '06', target_end_date: '2024-11-16', target: 'wk inc flu hosp', observed: 140 },
+  { location: '36', target_end_date: '2024-11-02', target: null, observed: 300 },
+  { location: '36', target_end_date: '2024-11-09', target: null, observed: 250 },
+  { location: '36', target_end_date: '2024-11-16', target: 'wk flu hosp rate change', observed: 'large_decrease' },
+];
+
+test('joinRateChanges derives the category from counts the week before the reference date', () => {
+  const { matched, unmatched } = joinRateChanges(
+    [forecast('06', 0, '2024-11-09'), forecast('06', 1, '2024-11-16'), forecast('36', 0, '2024-11-09')],
+    truth, { populations },
+  );
+  assert.deepEqual(unmatched, []);
+  // +2 per 100k at horizon 0, +4 at horizon 1, -5 at horizon 0
+  assert.deepEqual(matched.map(f => f.observed), ['large_increase', 'large_increase', 'large_decrease']);
+});
+
+test('joinRateChanges prefers a categorical observation for the target', () => {
+  const { matched } = joinRateChanges([forecast('36', 1, '2024-11-16')], truth, { populations });
+  assert.equal(matched[0].observed, 'large_decrease');
+});
+
+test('joinRateChanges leaves forecasts unmatched without a population or a count', () => {
+  const { matched, unmatched } = joinRateChanges(
+    [forecast('06', 0, '2024-11-09'), forecast('06', 2, '2024-11-23')],
+    truth, { populations: {} },
+  );
+  assert.deepEqual(matched, []);
+  assert.equal(unmatched.length, 2);
+  assert.equal(joinRateChanges([forecast('06', 2, '2024-11-23')], truth, { populations }).unmatched.length, 1);
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { pairwiseComparison } from '../metrics/index.js';
+
+const close = (actual, expected, tolerance = 1e-9) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected}, got ${actual}`);
+};
+
+const row = (model, location, wis) => ({ model, reference_date: '2024-11-02', target: 'wk inc flu hosp', horizon: 0, location, wis });
+
+// A forecasts all three locations, B misses 36 and C misses 06
+const scores = [
+  row('A', '06', 2), row('A', '17', 4), row('A', '36', 6),
+  row('B', '06', 4), row('B', '17', 4),
+  row('C', '17', 8), row('C', '36', 3),
+  { ...row('A', '06'), wis: undefined, log_score: 1.2 },
+];
+
+// Mean WIS ratios over shared tasks: A/B = 3/4, A/C = 5/5.5, B/C = 4/8
+const skill = {
+  A: Math.cbrt(1 * (3 / 4) * (5 / 5.5)),
+  B: Math.cbrt((4 / 3) * 1 * (4 / 8)),
+  C: Math.cbrt((5.5 / 5) * (8 / 4) * 1),
+};
+
+test('relative skill is the geometric mean of ratios over shared tasks', () => {
+  const rows = pairwiseComparison(scores);
+  assert.deepEqual(rows.map(r => r.model), ['B', 'A', 'C']);
+  rows.forEach(r => close(r.wis_relative_skill, skill[r.model]));
+  assert.deepEqual(rows.map(r => [r.n, r.wis]), [[2, 4], [3, 4], [2, 5.5]]);
+  assert.ok(rows.every(r => r.wis_scaled_relative_skill === null));
+});
+
+test('scaled relative skill divides by the baseline', () => {
+  const rows = pairwiseComparison(scores, { baseline: 'B' });
+  rows.forEach(r => close(r.wis_scaled_relative_skill, skill[r.model] / skill.B));
+  assert.equal(rows.find(r => r.model === 'B').wis_scaled_relative_skill, 1);
+});
+
+test('models without shared tasks skip that comparison', () => {
+  const rows = pairwiseComparison([...scores, row('D', '48', 10)]);
+  assert.equal(rows.find(r => r.model === 'D').wis_relative_skill, 1);
+  close(rows.find(r => r.model === 'A').wis_relative_skill, skill.A);
+});
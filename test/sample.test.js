@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { crpsSample, sampleMedian, sampleQuantiles, scoreQuantiles } from '../metrics/index.js';
+
+const close = (actual, expected, tolerance = 1e-9) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected}, got ${actual}`);
+};
+
+test('crpsSample matches the energy form worked by hand', () => {
+  // samples 1, 2, 4 and y = 3: E|X - y| = 4/3, E|X - X'| = (2 * (1 + 3 + 2)) / 9 = 4/3
+  close(crpsSample(3, [4, 1, 2]), 4 / 3 - 2 / 3);
+});
+
+test('crpsSample of one sample is the absolute error', () => {
+  assert.equal(crpsSample(10, [7]), 3);
+  assert.equal(crpsSample(10, [10, 10, 10]), 0);
+});
+
+test('crpsSample ignores non-numeric samples and rejects empty ones', () => {
+  close(crpsSample(3, [4, 'NA', 1, 2]), 2 / 3);
+  assert.throws(() => crpsSample(3, []), /empty/);
+});
+
+test('sampleQuantiles gives the median and central interval bounds', () => {
+  const samples = Array.from({ length: 101 }, (_, i) => i);
+  assert.equal(sampleMedian(samples), 50);
+  const quantiles = sampleQuantiles(samples, [0.5, 0.9]);
+  assert.deepEqual(quantiles.map(q => [+q.level.toFixed(6), q.value]), [[0.05, 5], [0.25, 25], [0.5, 50], [0.75, 75], [0.95, 95]]);
+  assert.ok(Number.isFinite(scoreQuantiles(30, quantiles).total));
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FLUSIGHT_QUANTILE_LEVELS, quantilesToIntervals, validateQuantiles } from '../metrics/index.js';
+import { SAMPLE_INTERVAL_LEVELS, createRandom, sampleQuantileForecasts, sampleTrajectories } from '../models/index.js';
+
+const task = { model: 'teamA', reference_date: '2024-11-30', target: 'wk inc flu hosp', location: '06' };
+const ids = (n) => Array.from({ length: n }, (_, i) => `s${i}`);
+
+const random = createRandom(9);
+const sampleForecast = (horizon, n = 200) => ({
+  ...task, horizon, target_end_date: ['2024-11-30', '2024-12-07', '2024-12-14'][horizon], output_type: 'sample',
+  samples: Array.from({ length: n }, () => Math.round(100 * Math.exp(0.2 * random.normal()))), sample_ids: ids(n),
+});
+
+test('the default levels are the central intervals of the FluSight quantiles', () => {
+  assert.deepEqual(SAMPLE_INTERVAL_LEVELS, [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 0.95, 0.98]);
+});
+
+test('sample forecasts become monotone quantile forecasts at symmetric levels', () => {
+  const forecasts = [sampleForecast(0), sampleForecast(1)];
+  const derived = sampleQuantileForecasts(forecasts);
+  assert.equal(derived.length, 2);
+  derived.forEach(f => {
+    assert.equal(f.output_type, 'quantile');
+    assert.equal(f.derived_from, 'sample');
+    assert.equal(f.model, 'teamA');
+    assert.equal(f.samples, undefined);
+    assert.equal(f.sample_ids, undefined);
+    const levels = validateQuantiles(f.quantiles).map(q => q.level);
+    levels.forEach((level, i) => assert.ok(Math.abs(level + levels[levels.length - 1 - i] - 1) < 1e-9));
+    FLUSIGHT_QUANTILE_LEVELS.forEach((level, i) => assert.ok(Math.abs(levels[i] - level) < 1e-9));
+  });
+});
+
+test('sampleQuantileForecasts uses the chosen levels and keeps submitted quantiles', () => {
+  const forecasts = [sampleForecast(0), sampleForecast(1), { ...task, horizon: 1, target_end_date: '2024-12-07', output_type: 'quantile', quantiles: [] }];
+  const derived = sampleQuantileForecasts(forecasts, { levels: [0.5, 0.9] });
+  assert.deepEqual(derived.map(f => f.horizon), [0]);
+  assert.deepEqual(quantilesToIntervals(derived[0].quantiles).intervals.map(i => i.level), [0.9, 0.5]);
+});
+
+test('sampleTrajectories joins samples that share an id across horizons', () => {
+  const forecasts = [sampleForecast(2, 3), sampleForecast(0, 3), { ...sampleForecast(1, 4), sample_ids: ['s0', 's1', 's2', 'only-here'] }];
+  const paths = sampleTrajectories(forecasts);
+  assert.deepEqual(paths.map(p => p.id), ['s0', 's1', 's2']);
+  paths.forEach(p => {
+    assert.deepEqual(p.points.map(pt => pt.target_end_date), ['2024-11-30', '2024-12-07', '2024-12-14']);
+  });
+  const [first] = paths;
+  assert.deepEqual(first.points.map(pt => pt.value), [forecasts[1].samples[0], forecasts[2].samples[0], forecasts[0].samples[0]]);
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateQuantiles } from '../metrics/index.js';
+import { SIMULATED_MODELS, createRandom, syntheticEpidemic, simulatedForecasts, simulateReplicates } from '../models/index.js';
+
+const close = (actual, expected, tolerance = 1e-9) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected}, got ${actual}`);
+};
+
+const draws = (random, n, f = random.uniform) => Array.from({ length: n }, () => f());
+
+test('createRandom replays the same sequence from a seed', () => {
+  assert.deepEqual(draws(createRandom(42), 5), draws(createRandom(42), 5));
+  assert.notDeepEqual(draws(createRandom(42), 5), draws(createRandom(43), 5));
+  const a = createRandom(7);
+  const b = createRandom(7);
+  assert.deepEqual(draws(a, 5, a.normal), draws(b, 5, b.normal));
+});
+
+test('createRandom draws uniforms in [0, 1) and standard normals', () => {
+  const random = createRandom(1);
+  const u = draws(random, 10000);
+  assert.ok(u.every(x => x >= 0 && x < 1));
+  close(u.reduce((a, b) => a + b) / u.length, 0.5, 0.02);
+  const z = draws(random, 10000, random.normal);
+  const mean = z.reduce((a, b) => a + b) / z.length;
+  close(mean, 0, 0.05);
+  close(Math.sqrt(z.reduce((a, x) => a + (x - mean) ** 2, 0) / z.length), 1, 0.05);
+});
+
+test('syntheticEpidemic gives weekly positive counts, reproducibly', () => {
+  const { curve, series } = syntheticEpidemic(createRandom(3), { weeks: 10, start: '2023-10-07' });
+  assert.equal(series.length, 10);
+  assert.equal(curve.length, 14);
+  assert.deepEqual(series.slice(0, 2).map(p => p.date), ['2023-10-07', '2023-10-14']);
+  assert.ok(series.every(p => Number.isInteger(p.value) && p.value > 0));
+  assert.deepEqual(syntheticEpidemic(createRandom(3), { weeks: 10 }).series, series);
+});
+
+test('simulated forecasts are valid, log-symmetric quantile forecasts', () => {
+  const epidemic = syntheticEpidemic(createRandom(5), { weeks: 8 });
+  const forecasts = simulatedForecasts(createRandom(6), epidemic, 'calibrated');
+  // every reference date and horizon with an observation: 8 + 7 + 6 + 5
+  assert.equal(forecasts.length, 26);
+  forecasts.forEach(f => {
+    const q = validateQuantiles(f.quantiles);
+    const median = q.find(p => p.level === 0.5).value;
+    q.forEach((p, i) => close(Math.log(p.value) + Math.log(q[q.length - 1 - i].value), 2 * Math.log(median), 1e-6));
+    assert.equal(f.observed, epidemic.series.find(p => p.date === f.target_end_date).value);
+  });
+  assert.throws(() => simulatedForecasts(createRandom(6), epidemic, 'psychic'), /Unknown simulated model/);
+});
+
+test('simulated models differ only in how they report the same draws', () => {
+  const epidemic = syntheticEpidemic(createRandom(5), { weeks: 8 });
+  const [calibrated, biased, overconfident] = ['calibrated', 'biased', 'overconfident']
+    .map(model => simulatedForecasts(createRandom(6), epidemic, model));
+  const value = (f, level) => f.quantiles.find(q => q.level === level).value;
+  calibrated.forEach((f, i) => {
+    close(value(biased[i], 0.5) / value(f, 0.5), Math.exp(SIMULATED_MODELS.biased.shift), 1e-9);
+    close(Math.log(value(overconfident[i], 0.975) / value(overconfident[i], 0.5)),
+      0.5 * Math.log(value(f, 0.975) / value(f, 0.5)), 1e-9);
+  });
+});
+
+test('simulateReplicates is reproducible and separates the models', () => {
+  const options = { seed: 11, replicates: 20, weeks: 20 };
+  const rows = simulateReplicates(options);
+  assert.deepEqual(simulateReplicates(options), rows);
+  assert.equal(rows.length, 20 * Object.keys(SIMULATED_MODELS).length);
+  const coverage = (model) => {
+    const own = rows.filter(r => r.model === model);
+    return own.reduce((a, r) => a + r.interval_coverage_95, 0) / own.length;
+  };
+  assert.ok(coverage('calibrated') > 0.85, `calibrated 95% coverage ${coverage('calibrated')}`);
+  assert.ok(coverage('overconfident') < coverage('calibrated'));
+});
@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { aggregateScores, summarizeScores } from '../metrics/index.js';
+
+const scores = [
+  { model: 'teamA', output_type: 'quantile', wis: 10 },
+  { model: 'teamA', output_type: 'quantile', wis: 20 },
+  { model: 'teamA', output_type: 'pmf', log_score: 1.2 },
+];
+
+test('n counts only the rows the averaged metrics come from', () => {
+  const [summary] = summarizeScores(scores, ['model'], ['wis']);
+  assert.equal(summary.wis, 15);
+  assert.equal(summary.n, 2);
+});
+
+test('n counts every row when no metrics are asked for', () => {
+  assert.equal(summarizeScores(scores, ['model'], [])[0].n, 3);
+});
+
+test('aggregateScores reports n per output type when grouped on it', () => {
+  const rows = aggregateScores(scores, ['model', 'output_type'], { columns: ['wis', 'log_score'], medians: [] });
+  assert.deepEqual(rows.map(r => [r.output_type, r.n]), [['pmf', 1], ['quantile', 2]]);
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { transformValue, transformForecasts, transformTruth } from '../metrics/index.js';
+
+const close = (actual, expected, tolerance = 1e-9) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected}, got ${actual}`);
+};
+
+test('transformValue on each scale', () => {
+  assert.equal(transformValue(120, 'natural'), 120);
+  close(transformValue(99, 'log'), Math.log(100));
+  assert.equal(transformValue(-5, 'log'), 0);
+  assert.equal(transformValue(50, 'per100k', 1e6), 5);
+});
+
+test('transformValue needs a population for per100k', () => {
+  assert.throws(() => transformValue(50, 'per100k'), /needs a population, got undefined/);
+  assert.throws(() => transformValue(50, 'per100k', 0), /needs a population/);
+});
+
+const populations = { '06': 2e6 };
+const forecasts = [
+  { location: '06', output_type: 'quantile', quantiles: [{ level: 0.5, value: 200 }], observed: 100 },
+  { location: '06', output_type: 'sample', samples: [0, 40] },
+  { location: '06', output_type: 'pmf', pmf: [{ category: 'stable', probability: 1 }], observed: 'stable' },
+  { location: '99', output_type: 'quantile', quantiles: [{ level: 0.5, value: 200 }] },
+];
+
+test('transformForecasts transforms quantiles, samples and numeric observations', () => {
+  const { forecasts: logged, skipped } = transformForecasts(forecasts, 'log');
+  assert.deepEqual(skipped, []);
+  close(logged[0].quantiles[0].value, Math.log(201));
+  close(logged[0].observed, Math.log(101));
+  assert.deepEqual(logged[1].samples, [0, Math.log(41)]);
+  assert.equal(logged[2], forecasts[2]);
+  assert.equal(transformForecasts(forecasts, 'natural').forecasts, forecasts);
+});
+
+test('per100k skips forecasts for locations without a population', () => {
+  const { forecasts: scaled, skipped } = transformForecasts(forecasts, 'per100k', { populations });
+  assert.deepEqual(scaled.map(f => f.output_type), ['quantile', 'sample', 'pmf']);
+  assert.equal(scaled[0].quantiles[0].value, 10);
+  assert.equal(scaled[0].observed, 5);
+  assert.deepEqual(scaled[1].samples, [0, 2]);
+  assert.deepEqual(skipped, [{ forecast: forecasts[3], reason: 'no population for location 99' }]);
+  assert.ok(scaled.every(f => !f.quantiles || f.quantiles.every(q => Number.isFinite(q.value))));
+});
+
+test('transformTruth drops per100k rows without a population and keeps categories', () => {
+  const truth = [
+    { location: '06', target_end_date: '2024-11-30', target: null, observed: 40 },
+    { location: '99', target_end_date: '2024-11-30', target: null, observed: 40 },
+    { location: '99', target_end_date: '2024-11-30', target: 'wk flu hosp rate change', observed: 'increase' },
+  ];
+  assert.deepEqual(transformTruth(truth, 'per100k', { populations }).map(t => [t.location, t.observed]),
+    [['06', 2], ['99', 'increase']]);
+  assert.deepEqual(transformTruth(truth, 'log').map(t => t.observed), [Math.log(41), Math.log(41), 'increase']);
+  assert.equal(transformTruth(truth, 'natural'), truth);
+});
+
+test('unknown scales are rejected', () => {
+  assert.throws(() => transformForecasts(forecasts, 'sqrt'), /Unknown scoring scale "sqrt"/);
+  assert.throws(() => transformTruth([], 'sqrt'), /Unknown scoring scale/);
+});
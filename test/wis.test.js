@@ -0,0 +1,148 @@
+// Interval score and WIS against values worked by hand from the definitions in
+// Bracher et al. (2021), "Evaluating epidemic forecasts in an interval format":
+//   IS_alpha = (u - l) + 2/alpha (l - y) 1(y < l) + 2/alpha (y - u) 1(y > u)
+//   WIS = 1 / (K + 1/2) * (1/2 |y - m| + sum_k alpha_k / 2 * IS_alpha_k)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  WIS_COMPONENTS, FLUSIGHT_QUANTILE_LEVELS, calculatePIS, calculateWIS, scoreQuantiles, normalQuantile,
+} from '../metrics/index.js';
+
+const close = (actual, expected, tolerance = 1e-9) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected}, got ${actual}`);
+};
+
+test('interval score is the width when the observation is inside', () => {
+  const pis = calculatePIS(3, 2, 5, 0.2);
+  assert.equal(pis.total, 3);
+  assert.equal(pis.penalty, 0);
+  assert.equal(pis.inside, true);
+});
+
+test('interval score adds 2 / alpha times the distance outside', () => {
+  // 80% interval [2, 5], y = 7: 3 + 10 * 2
+  const above = calculatePIS(7, 2, 5, 0.2);
+  assert.equal(above.width, 3);
+  close(above.penalty, 20);
+  close(above.total, 23);
+  assert.equal(above.outsideUpper, true);
+
+  // 50% interval [2, 5], y = 0: 3 + 4 * 2
+  const below = calculatePIS(0, 2, 5, 0.5);
+  close(below.total, 11);
+  assert.equal(below.outsideLower, true);
+});
+
+test('interval score counts the bounds as inside', () => {
+  assert.equal(calculatePIS(2, 2, 5, 0.2).total, 3);
+  assert.equal(calculatePIS(5, 2, 5, 0.2).total, 3);
+});
+
+test('WIS with one interval matches the definition', () => {
+  // (1/2 * |7 - 4| + 0.1 * 23) / 1.5
+  const wis = calculateWIS(7, 4, [{ lower: 2, upper: 5, alpha: 0.2 }]);
+  close(wis.total, 3.8 / 1.5);
+  close(wis.dispersion, 0.3 / 1.5);
+  close(wis.underprediction, 3.5 / 1.5);
+  assert.equal(wis.overprediction, 0);
+  assert.equal(wis.absError, 3);
+});
+
+test('WIS with several intervals matches the definition', () => {
+  // y = 10, m = 12, 50% [8, 16] and 90% [5, 20]:
+  // (1/2 * 2 + 0.25 * 8 + 0.05 * 15) / 2.5
+  const wis = calculateWIS(10, 12, [
+    { lower: 8, upper: 16, alpha: 0.5 },
+    { lower: 5, upper: 20, alpha: 0.1 },
+  ]);
+  close(wis.total, 1.5);
+  close(wis.dispersion, 2.75 / 2.5);
+  close(wis.overprediction, 1 / 2.5);
+  assert.equal(wis.underprediction, 0);
+  assert.equal(wis.nIntervals, 2);
+});
+
+test('WIS is normalized by K + 1/2', () => {
+  const intervals = [
+    { lower: 80, upper: 120, alpha: 0.5 },
+    { lower: 60, upper: 140, alpha: 0.2 },
+    { lower: 40, upper: 160, alpha: 0.05 },
+  ];
+  const observed = 150;
+  const median = 100;
+  const raw = 0.5 * Math.abs(observed - median)
+    + intervals.reduce((sum, { lower, upper, alpha }) => sum + (alpha / 2) * calculatePIS(observed, lower, upper, alpha).total, 0);
+  close(calculateWIS(observed, median, intervals).total, raw / (intervals.length + 0.5));
+});
+
+test('WIS components add up to the total', () => {
+  const wis = calculateWIS(150, 100, [{ lower: 80, upper: 120, alpha: 0.5 }, { lower: 60, upper: 140, alpha: 0.2 }]);
+  close(wis.dispersion + wis.overprediction + wis.underprediction, wis.total);
+});
+
+test('WIS of a median-only forecast is the absolute error', () => {
+  // K = 0: (1/2 |y - m|) / (1/2)
+  const wis = calculateWIS(3, 5, []);
+  close(wis.total, 2);
+  close(wis.overprediction, 2);
+  assert.equal(wis.dispersion, 0);
+  assert.equal(wis.nIntervals, 0);
+  assert.equal(calculateWIS(5, 5, []).total, 0);
+});
+
+// Bracher et al. also write WIS through the quantile (pinball) loss of each of
+// the 2K + 1 quantiles: WIS = 1 / (K + 1/2) * sum_j (1(y <= q_j) - tau_j) (q_j - y)
+const quantileLossWIS = (observed, quantiles) => quantiles
+  .reduce((sum, { level, value }) => sum + ((observed <= value ? 1 : 0) - level) * (value - observed), 0)
+  / (quantiles.length / 2);
+
+test('WIS equals the quantile-loss form over the FluSight levels', () => {
+  const quantiles = FLUSIGHT_QUANTILE_LEVELS.map(level => ({ level, value: 100 + 40 * normalQuantile(level) }));
+  [20, 95, 100, 130, 250].forEach(observed => {
+    close(scoreQuantiles(observed, quantiles).total, quantileLossWIS(observed, quantiles));
+  });
+});
+
+// CRPS of N(0, 1) at y (Gneiting and Raftery 2007): y (2 Phi(y) - 1) + 2 phi(y) - 1 / sqrt(pi)
+const NORMAL_CRPS = [
+  { observed: 0, crps: 2 / Math.sqrt(2 * Math.PI) - 1 / Math.sqrt(Math.PI) },
+  { observed: 1, crps: 1 * (2 * 0.8413447460685429 - 1) + 2 * 0.24197072451914337 - 1 / Math.sqrt(Math.PI) },
+];
+
+test('WIS of many quantiles approximates the CRPS', () => {
+  const quantiles = Array.from({ length: 99 }, (_, i) => (i + 1) / 100).map(level => ({
+    level, value: level === 0.5 ? 0 : normalQuantile(level),
+  }));
+  NORMAL_CRPS.forEach(({ observed, crps }) => close(scoreQuantiles(observed, quantiles).total, crps, 0.01));
+});
+
+// The sign convention of scoringutils, and the labels the app shows for it
+const component = (key) => WIS_COMPONENTS.find(c => c.key === key);
+const interval = [{ lower: 80, upper: 120, alpha: 0.2 }];
+
+test('an observation above the upper bound is underprediction', () => {
+  const wis = calculateWIS(150, 100, interval);
+  assert.ok(wis.underprediction > 0);
+  assert.equal(wis.overprediction, 0);
+  assert.equal(component('underprediction').observed, 'above');
+  assert.equal(component('underprediction').label, 'Underprediction');
+  assert.equal(component('underprediction').short, 'Under');
+});
+
+test('an observation below the lower bound is overprediction', () => {
+  const wis = calculateWIS(50, 100, interval);
+  assert.ok(wis.overprediction > 0);
+  assert.equal(wis.underprediction, 0);
+  assert.equal(component('overprediction').observed, 'below');
+  assert.equal(component('overprediction').label, 'Overprediction');
+  assert.equal(component('overprediction').short, 'Over');
+});
+
+test('every displayed component is penalized on the side it names', () => {
+  WIS_COMPONENTS.filter(c => c.observed).forEach(c => {
+    const observed = c.observed === 'above' ? 150 : 50;
+    const wis = calculateWIS(observed, 100, interval);
+    assert.ok(wis[c.key] > 0, `${c.label} should be charged when the observation is ${c.observed} the interval`);
+    WIS_COMPONENTS.filter(o => o.observed && o.key !== c.key).forEach(o => assert.equal(wis[o.key], 0));
+  });
+});